@@ -1,31 +1,18 @@
 'use strict'
 
 const http = require('http')
-const { Tags, FORMAT_HTTP_HEADERS } = require('opentracing')
 const MetricsTracer = require('../src')
 
 const prometheusReporter = new MetricsTracer.PrometheusReporter()
-const metricsTracer = new MetricsTracer('my-server', [prometheusReporter])
+const topologyReporter = new MetricsTracer.TopologyReporter()
+const metricsTracer = new MetricsTracer('my-server', [prometheusReporter, topologyReporter])
+const httpServerInstrumentation = new MetricsTracer.HttpServerInstrumentation(metricsTracer)
 const PORT = process.env.PORT || 3000
 
-const server = http.createServer((req, res) => {
-  // Instrumentation
-  const requestSpan = metricsTracer.startSpan('http_request', {
-    childOf: metricsTracer.extract(FORMAT_HTTP_HEADERS, req.headers)
-  })
-  const headers = {}
-
-  metricsTracer.inject(requestSpan, FORMAT_HTTP_HEADERS, headers)
-
-  requestSpan.setTag(Tags.HTTP_URL, req.url)
-  requestSpan.setTag(Tags.HTTP_METHOD, req.method || 'GET')
-  requestSpan.setTag(Tags.HTTP_STATUS_CODE, 200)
-  requestSpan.setTag(Tags.SPAN_KIND_RPC_CLIENT, true)
-
+// Instrumentation: every request handled by the server gets a server span
+const server = http.createServer(httpServerInstrumentation.wrap((req, res) => {
   // Dummy router: GET /metrics
   if (req.url === '/metrics') {
-    requestSpan.finish()
-
     res.writeHead(200, {
       'Content-Type': MetricsTracer.PrometheusReporter.Prometheus.register.contentType
     })
@@ -33,20 +20,25 @@ const server = http.createServer((req, res) => {
     return
   }
 
-  // My child operation like DB access
-  const childOperationSpan = metricsTracer.startSpan('my_operation', {
-    childOf: requestSpan
-  })
+  // Dummy router: GET /topology
+  if (req.url === '/topology') {
+    res.writeHead(200, {
+      'Content-Type': 'application/json'
+    })
+    res.end(JSON.stringify(topologyReporter.graph()))
+    return
+  }
+
+  // My child operation like DB access, the active request span is its parent
+  const childOperationSpan = metricsTracer.startSpan('my_operation')
 
   setTimeout(() => {
     childOperationSpan.finish()
 
-    res.writeHead(200, headers)
+    res.writeHead(200)
     res.end('Ok')
-
-    requestSpan.finish()
   }, 30)
-})
+}))
 
 server.listen(PORT, (err) => {
   // eslint-disable-next-line
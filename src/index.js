@@ -1,8 +1,30 @@
 'use strict'
 
-const { Tracer } = require('./tracer')
-const { PrometheusReporter } = require('./reporters')
+const { Tracer, ScopeManager, propagation, samplers } = require('./tracer')
+const { PrometheusReporter, TopologyReporter } = require('./reporters')
+const { HttpServerInstrumentation } = require('./instrumentation')
 
-module.exports = Object.assign(Tracer, {
-  PrometheusReporter
-})
+/**
+* Package entry point, exposes the public classes as statics without mutating the Tracer class
+* @class MetricsTracer
+* @extends Tracer
+*/
+class MetricsTracer extends Tracer {}
+
+MetricsTracer.ScopeManager = ScopeManager
+MetricsTracer.PrometheusReporter = PrometheusReporter
+MetricsTracer.TopologyReporter = TopologyReporter
+MetricsTracer.HttpServerInstrumentation = HttpServerInstrumentation
+MetricsTracer.Propagator = propagation.Propagator
+MetricsTracer.BinaryPropagator = propagation.BinaryPropagator
+MetricsTracer.TextMapPropagator = propagation.TextMapPropagator
+MetricsTracer.W3CPropagator = propagation.W3CPropagator
+MetricsTracer.B3Propagator = propagation.B3Propagator
+MetricsTracer.HeadersCarrier = propagation.HeadersCarrier
+MetricsTracer.Sampler = samplers.Sampler
+MetricsTracer.ConstSampler = samplers.ConstSampler
+MetricsTracer.ProbabilisticSampler = samplers.ProbabilisticSampler
+MetricsTracer.RateLimitingSampler = samplers.RateLimitingSampler
+MetricsTracer.PerOperationSampler = samplers.PerOperationSampler
+
+module.exports = MetricsTracer
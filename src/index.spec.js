@@ -0,0 +1,34 @@
+'use strict'
+
+const { expect } = require('chai')
+const { Tracer, ScopeManager, propagation, samplers } = require('./tracer')
+const { PrometheusReporter, TopologyReporter } = require('./reporters')
+const { HttpServerInstrumentation } = require('./instrumentation')
+const MetricsTracer = require('./')
+
+describe('index', () => {
+  it('should export a Tracer', () => {
+    const tracer = new MetricsTracer('my-service')
+
+    expect(tracer).to.be.instanceof(Tracer)
+    expect(MetricsTracer.CARRIER_KEY_SPAN_IDS).to.be.equal(Tracer.CARRIER_KEY_SPAN_IDS)
+    expect(MetricsTracer.setError).to.be.equal(Tracer.setError)
+  })
+
+  it('should expose the public classes', () => {
+    expect(MetricsTracer.ScopeManager).to.be.equal(ScopeManager)
+    expect(MetricsTracer.PrometheusReporter).to.be.equal(PrometheusReporter)
+    expect(MetricsTracer.TopologyReporter).to.be.equal(TopologyReporter)
+    expect(MetricsTracer.HttpServerInstrumentation).to.be.equal(HttpServerInstrumentation)
+
+    Object.keys(propagation).concat(Object.keys(samplers)).forEach((name) => {
+      expect(MetricsTracer[name]).to.be.equal(propagation[name] || samplers[name])
+    })
+  })
+
+  it('should not mutate the Tracer class', () => {
+    expect(Tracer).to.not.have.property('PrometheusReporter')
+    expect(Tracer).to.not.have.property('W3CPropagator')
+    expect(Tracer).to.not.have.property('ConstSampler')
+  })
+})
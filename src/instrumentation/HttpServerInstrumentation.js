@@ -0,0 +1,184 @@
+'use strict'
+
+const assert = require('assert')
+const { Tags, FORMAT_HTTP_HEADERS } = require('opentracing')
+const Tracer = require('../tracer/Tracer')
+
+const OPERATION_NAME = 'http_request'
+const TAG_HTTP_ROUTE = 'http.route'
+const STATUS_CODE_CLIENT_CLOSED_REQUEST = 499
+
+/**
+* Instruments http and https server request listeners: every request runs in a server span,
+* which is a child of the extracted context and is finished with the final status code
+* @class HttpServerInstrumentation
+*/
+class HttpServerInstrumentation {
+  /**
+  * Express style route, like /users/:id
+  * @static getRoute
+  * @param {http.IncomingMessage} req
+  * @returns {String|undefined} route
+  */
+  static getRoute (req) {
+    if (req.route && typeof req.route.path === 'string') {
+      return `${req.baseUrl || ''}${req.route.path}`
+    }
+
+    return undefined
+  }
+
+  /**
+  * @constructor
+  * @param {Tracer} tracer
+  * @param {Object} [options={}]
+  * @param {String|Function} [options.operationName='http_request'] - String or (req) => operationName
+  * @param {Function} [options.getRoute=HttpServerInstrumentation.getRoute] - (req) => route, called at finish
+  * @returns {HttpServerInstrumentation}
+  */
+  constructor (tracer, { operationName = OPERATION_NAME, getRoute = HttpServerInstrumentation.getRoute } = {}) {
+    assert(tracer && typeof tracer.startSpan === 'function' && typeof tracer.withSpan === 'function',
+      'tracer is required')
+    assert(typeof operationName === 'string' || typeof operationName === 'function',
+      'operationName must be a String or a Function')
+    assert(typeof getRoute === 'function', 'getRoute must be a function')
+
+    this._tracer = tracer
+    this._options = {
+      operationName,
+      getRoute
+    }
+    // Original createServer by module
+    this._patched = new Map()
+  }
+
+  /**
+  * Wraps a request listener
+  * @method wrap
+  * @param {Function} requestListener - (req, res) => {}
+  * @returns {Function} requestListener
+  */
+  wrap (requestListener) {
+    assert(typeof requestListener === 'function', 'requestListener is required')
+
+    const instrumentation = this
+
+    return function instrumentedRequestListener (req, res) {
+      return instrumentation._handleRequest(this, requestListener, req, res)
+    }
+  }
+
+  /**
+  * Patches createServer of the module to wrap the request listener, servers created before aren't instrumented
+  * @method patch
+  * @param {Object} httpModule - like require('http') or require('https')
+  * @returns {HttpServerInstrumentation}
+  */
+  patch (httpModule) {
+    assert(httpModule && typeof httpModule.createServer === 'function', 'httpModule is required')
+
+    if (this._patched.has(httpModule)) {
+      return this
+    }
+
+    const { createServer } = httpModule
+    const instrumentation = this
+
+    this._patched.set(httpModule, createServer)
+
+    httpModule.createServer = function (...args) {
+      const listenerIndex = args.findIndex((arg) => typeof arg === 'function')
+
+      if (listenerIndex !== -1) {
+        args[listenerIndex] = instrumentation.wrap(args[listenerIndex])
+      }
+
+      return createServer.apply(this, args)
+    }
+
+    return this
+  }
+
+  /**
+  * Restores createServer of the patched modules
+  * @method unpatch
+  * @returns {HttpServerInstrumentation}
+  */
+  unpatch () {
+    this._patched.forEach((createServer, httpModule) => {
+      httpModule.createServer = createServer
+    })
+    this._patched.clear()
+
+    return this
+  }
+
+  /**
+  * @method _handleRequest
+  * @private
+  * @param {*} thisArg
+  * @param {Function} requestListener
+  * @param {http.IncomingMessage} req
+  * @param {http.ServerResponse} res
+  * @returns {*}
+  */
+  _handleRequest (thisArg, requestListener, req, res) {
+    const tracer = this._tracer
+    const { operationName, getRoute } = this._options
+    const span = tracer.startSpan(typeof operationName === 'function' ? operationName(req) : operationName, {
+      childOf: tracer.extract(FORMAT_HTTP_HEADERS, req.headers),
+      ignoreActiveSpan: true,
+      tags: {
+        [Tags.SPAN_KIND]: Tags.SPAN_KIND_RPC_SERVER,
+        [Tags.HTTP_METHOD]: req.method,
+        [Tags.HTTP_URL]: req.url
+      }
+    })
+    const headers = {}
+    let finished = false
+
+    tracer.inject(span, FORMAT_HTTP_HEADERS, headers)
+    Object.keys(headers).forEach((key) => res.setHeader(key, headers[key]))
+
+    // Aborted requests are closed without finish
+    const finish = (isAborted) => {
+      if (finished) {
+        return
+      }
+
+      const route = getRoute(req)
+      const statusCode = isAborted ? STATUS_CODE_CLIENT_CLOSED_REQUEST : res.statusCode
+
+      finished = true
+
+      if (route) {
+        span.setTag(TAG_HTTP_ROUTE, route)
+      }
+
+      span.setTag(Tags.HTTP_STATUS_CODE, statusCode)
+
+      if (isAborted || statusCode >= 500) {
+        span.setTag(Tags.ERROR, true)
+      }
+
+      span.finish()
+    }
+
+    res.once('finish', () => finish(false))
+    // writableEnded is missing before Node 12.9
+    res.once('close', () => finish(!(res.writableEnded || res.finished)))
+
+    try {
+      return tracer.withSpan(span, () => requestListener.call(thisArg, req, res))
+    } catch (err) {
+      Tracer.setError(span, err)
+      throw err
+    }
+  }
+}
+
+HttpServerInstrumentation.OPERATION_NAME = OPERATION_NAME
+HttpServerInstrumentation.TAG_HTTP_ROUTE = TAG_HTTP_ROUTE
+HttpServerInstrumentation.STATUS_CODE_CLIENT_CLOSED_REQUEST = STATUS_CODE_CLIENT_CLOSED_REQUEST
+
+module.exports = HttpServerInstrumentation
@@ -0,0 +1,216 @@
+'use strict'
+
+const http = require('http')
+const { expect } = require('chai')
+const { Tags, FORMAT_HTTP_HEADERS } = require('opentracing')
+const { Tracer } = require('../tracer')
+const PrometheusReporter = require('../reporters/PrometheusReporter')
+const HttpServerInstrumentation = require('./HttpServerInstrumentation')
+
+describe('instrumentation/HttpServerInstrumentation', () => {
+  let reporter
+  let tracer
+  let instrumentation
+  let server
+
+  function listen (requestListener) {
+    server = http.createServer(requestListener)
+
+    return new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  }
+
+  function request (path, headers = {}) {
+    return new Promise((resolve, reject) => {
+      http.get({ host: '127.0.0.1', port: server.address().port, path, headers }, (res) => {
+        res.resume()
+        res.on('end', () => resolve(res))
+      }).on('error', reject)
+    })
+  }
+
+  beforeEach(function () {
+    reporter = {
+      reportFinish: this.sandbox.spy()
+    }
+    tracer = new Tracer('my-service', [reporter])
+    instrumentation = new HttpServerInstrumentation(tracer)
+  })
+
+  afterEach((done) => {
+    instrumentation.unpatch()
+
+    if (server && server.listening) {
+      server.close(done)
+    } else {
+      done()
+    }
+  })
+
+  describe('#constructor', () => {
+    it('should validate options', () => {
+      expect(() => new HttpServerInstrumentation()).to.throw('tracer is required')
+      expect(() => new HttpServerInstrumentation(tracer, { operationName: 1 }))
+        .to.throw('operationName must be a String or a Function')
+      expect(() => new HttpServerInstrumentation(tracer, { getRoute: 'route' })).to.throw('getRoute must be a function')
+    })
+  })
+
+  describe('#wrap', () => {
+    it('should finish a server span with the final status code', () => {
+      let activeSpan
+
+      return listen(instrumentation.wrap((req, res) => {
+        activeSpan = tracer.activeSpan()
+
+        setImmediate(() => {
+          res.statusCode = 201
+          res.end('Created')
+        })
+      }))
+        .then(() => request('/users?limit=1'))
+        .then((res) => {
+          const span = reporter.reportFinish.firstCall.args[0]
+
+          expect(reporter.reportFinish).to.have.callCount(1)
+          expect(span).to.be.equal(activeSpan)
+          expect(span.operationName()).to.be.equal(HttpServerInstrumentation.OPERATION_NAME)
+          expect(span.getTag(Tags.SPAN_KIND)).to.be.equal(Tags.SPAN_KIND_RPC_SERVER)
+          expect(span.getTag(Tags.HTTP_METHOD)).to.be.equal('GET')
+          expect(span.getTag(Tags.HTTP_URL)).to.be.equal('/users?limit=1')
+          expect(span.getTag(Tags.HTTP_STATUS_CODE)).to.be.equal(201)
+          expect(span.getTag(Tags.ERROR)).to.be.equal(undefined)
+          expect(res.headers[Tracer.CARRIER_KEY_SPAN_IDS]).to.be.equal(span.context()._spanId)
+        })
+    })
+
+    it('should start the span as child of the extracted context', () => {
+      const parentTracer = new Tracer('parent-service')
+      const parentSpan = parentTracer.startSpan('http_client_request')
+      const headers = {}
+
+      parentTracer.inject(parentSpan, FORMAT_HTTP_HEADERS, headers)
+
+      return listen(instrumentation.wrap((req, res) => res.end()))
+        .then(() => request('/', headers))
+        .then(() => {
+          const span = reporter.reportFinish.firstCall.args[0]
+
+          expect(span.context().parentServiceKey()).to.be.equal('parent-service')
+          expect(span.context()._traceId).to.be.equal(parentSpan.context()._traceId)
+        })
+    })
+
+    it('should mark 5xx responses as errors', () => listen(instrumentation.wrap((req, res) => {
+      res.statusCode = 503
+      res.end()
+    }))
+      .then(() => request('/'))
+      .then(() => {
+        const span = reporter.reportFinish.firstCall.args[0]
+
+        expect(span.getTag(Tags.HTTP_STATUS_CODE)).to.be.equal(503)
+        expect(span.getTag(Tags.ERROR)).to.be.equal(true)
+      }))
+
+    it('should mark requests aborted by the client', () => {
+      let clientRequest
+
+      return listen(instrumentation.wrap(() => clientRequest.destroy()))
+        .then(() => new Promise((resolve) => {
+          server.once('request', (req, res) => res.once('close', () => setImmediate(resolve)))
+          clientRequest = http.get({ host: '127.0.0.1', port: server.address().port, path: '/' })
+          clientRequest.on('error', () => {})
+        }))
+        .then(() => {
+          const span = reporter.reportFinish.firstCall.args[0]
+
+          expect(reporter.reportFinish).to.have.callCount(1)
+          expect(span.getTag(Tags.HTTP_STATUS_CODE))
+            .to.be.equal(HttpServerInstrumentation.STATUS_CODE_CLIENT_CLOSED_REQUEST)
+          expect(span.getTag(Tags.ERROR)).to.be.equal(true)
+        })
+    })
+
+    it('should record the route and the operation name', () => {
+      instrumentation = new HttpServerInstrumentation(tracer, {
+        operationName: (req) => `${req.method} request`,
+        getRoute: (req) => req.route
+      })
+
+      return listen(instrumentation.wrap((req, res) => {
+        req.route = '/users/:id'
+        res.end()
+      }))
+        .then(() => request('/users/1'))
+        .then(() => {
+          const span = reporter.reportFinish.firstCall.args[0]
+
+          expect(span.operationName()).to.be.equal('GET request')
+          expect(span.getTag(HttpServerInstrumentation.TAG_HTTP_ROUTE)).to.be.equal('/users/:id')
+        })
+    })
+
+    it('should record the express style route', () => {
+      expect(HttpServerInstrumentation.getRoute({ baseUrl: '/api', route: { path: '/users/:id' } }))
+        .to.be.equal('/api/users/:id')
+      expect(HttpServerInstrumentation.getRoute({})).to.be.equal(undefined)
+    })
+
+    it('should tag errors thrown by the listener', function () {
+      const err = new Error('failed')
+      const req = { method: 'GET', url: '/', headers: {} }
+      const res = {
+        setHeader: this.sandbox.spy(),
+        once: this.sandbox.spy()
+      }
+      const startSpan = this.sandbox.spy(tracer, 'startSpan')
+
+      expect(() => instrumentation.wrap(() => {
+        throw err
+      })(req, res)).to.throw(err)
+
+      expect(startSpan.firstCall.returnValue.getTag(Tags.ERROR)).to.be.equal(true)
+    })
+  })
+
+  describe('#patch', () => {
+    it('should instrument the servers created by createServer', () => {
+      instrumentation.patch(http)
+      instrumentation.patch(http)
+
+      return listen((req, res) => res.end())
+        .then(() => request('/'))
+        .then(() => {
+          expect(reporter.reportFinish).to.have.callCount(1)
+        })
+    })
+
+    it('should restore createServer on unpatch', () => {
+      const { createServer } = http
+
+      instrumentation.patch(http)
+      expect(http.createServer).to.not.be.equal(createServer)
+
+      instrumentation.unpatch()
+      expect(http.createServer).to.be.equal(createServer)
+    })
+  })
+
+  describe('e2e: PrometheusReporter', () => {
+    it('should have http_request_handler metrics', () => {
+      const prometheusReporter = new PrometheusReporter()
+      tracer = new Tracer('my-service', [prometheusReporter])
+      instrumentation = new HttpServerInstrumentation(tracer)
+
+      return listen(instrumentation.wrap((req, res) => {
+        res.statusCode = 404
+        res.end()
+      }))
+        .then(() => request('/'))
+        .then(() => {
+          expect(prometheusReporter.metrics()).to.have.string(
+            'http_request_handler_duration_seconds_count{parent_service="unknown",method="GET",code="404"} 1')
+        })
+    })
+  })
+})
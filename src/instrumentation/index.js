@@ -0,0 +1,7 @@
+'use strict'
+
+const HttpServerInstrumentation = require('./HttpServerInstrumentation')
+
+module.exports = {
+  HttpServerInstrumentation
+}
@@ -0,0 +1,102 @@
+'use strict'
+
+const assert = require('assert')
+const Prometheus = require('prom-client')
+
+/**
+* Prometheus histogram with bucket layouts per operation name pattern
+* Every layout has its own prom-client Histogram, they're exposed together under one metric name
+* @class OperationHistogram
+*/
+class OperationHistogram {
+  /**
+  * @static matches
+  * @param {RegExp|String} pattern - RegExp or exact operation name
+  * @param {String} operationName
+  * @returns {Boolean}
+  */
+  static matches (pattern, operationName) {
+    if (pattern instanceof RegExp) {
+      // Global and sticky RegExps continue from the last match otherwise
+      pattern.lastIndex = 0
+      return pattern.test(operationName)
+    }
+
+    return pattern === operationName
+  }
+
+  /**
+  * @constructor
+  * @param {Object} options
+  * @param {String} options.name
+  * @param {String} options.help
+  * @param {Array} options.labelNames
+  * @param {Array} options.buckets - default bucket layout
+  * @param {Array} [options.operationBuckets=[]] - Array of { pattern, buckets }, the first matching pattern wins
+  * @param {Array} [options.registers=[]] - Array of Prometheus.Registry
+  * @returns {OperationHistogram}
+  */
+  constructor ({ name, help, labelNames, buckets, operationBuckets = [], registers = [] }) {
+    assert(typeof name === 'string', 'name is required')
+
+    const createHistogram = (histogramBuckets) => new Prometheus.Histogram({
+      name,
+      help,
+      labelNames,
+      buckets: histogramBuckets,
+      registers: []
+    })
+
+    this.name = name
+    this.help = help
+    this.labelNames = labelNames
+    this.aggregator = 'sum'
+    this._histogram = createHistogram(buckets)
+    this._operationHistograms = operationBuckets.map(({ pattern, buckets: patternBuckets }) => ({
+      pattern,
+      histogram: createHistogram(patternBuckets)
+    }))
+
+    registers.forEach((registry) => registry.registerMetric(this))
+  }
+
+  /**
+  * Returns the histogram of the operation's bucket layout
+  * @method histogram
+  * @param {String} [operationName] - returns the default histogram when omitted
+  * @returns {Prometheus.Histogram}
+  */
+  histogram (operationName) {
+    const operationHistogram = operationName === undefined ? undefined : this._operationHistograms
+      .find(({ pattern }) => OperationHistogram.matches(pattern, operationName))
+
+    return operationHistogram ? operationHistogram.histogram : this._histogram
+  }
+
+  /**
+  * Called by Prometheus.Registry
+  * @method get
+  * @returns {Object} metric
+  */
+  get () {
+    const histograms = [this._histogram].concat(this._operationHistograms.map(({ histogram }) => histogram))
+
+    return {
+      name: this.name,
+      help: this.help,
+      type: 'histogram',
+      values: histograms.reduce((values, histogram) => values.concat(histogram.get().values), []),
+      aggregator: this.aggregator
+    }
+  }
+
+  /**
+  * @method reset
+  */
+  reset () {
+    this._histogram.reset()
+    this._operationHistograms.forEach(({ histogram }) => histogram.reset())
+  }
+}
+
+module.exports = OperationHistogram
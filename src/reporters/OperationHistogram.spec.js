@@ -0,0 +1,79 @@
+'use strict'
+
+const { expect } = require('chai')
+const Prometheus = require('prom-client')
+const OperationHistogram = require('./OperationHistogram')
+
+describe('reporter/OperationHistogram', () => {
+  let registry
+  let histogram
+
+  beforeEach(() => {
+    registry = new Prometheus.Registry()
+    histogram = new OperationHistogram({
+      name: 'duration_seconds',
+      help: 'Duration',
+      labelNames: ['name'],
+      buckets: [1],
+      operationBuckets: [
+        { pattern: 'cache-get', buckets: [0.001] },
+        { pattern: /^cache-/, buckets: [0.01] }
+      ],
+      registers: [registry]
+    })
+  })
+
+  describe('#constructor', () => {
+    it('should register itself', () => {
+      expect(registry.getSingleMetric('duration_seconds')).to.be.equal(histogram)
+    })
+  })
+
+  describe('#histogram', () => {
+    it('should return the histogram of the first matching pattern', () => {
+      expect(histogram.histogram('cache-get').upperBounds).to.be.eql([0.001])
+      expect(histogram.histogram('cache-set').upperBounds).to.be.eql([0.01])
+      expect(histogram.histogram('my-operation').upperBounds).to.be.eql([1])
+      expect(histogram.histogram().upperBounds).to.be.eql([1])
+    })
+  })
+
+  describe('.matches', () => {
+    it('should match global and sticky patterns on every call', () => {
+      [/^cache-/g, /cache-/y].forEach((pattern) => {
+        expect(OperationHistogram.matches(pattern, 'cache-get')).to.be.equal(true)
+        expect(OperationHistogram.matches(pattern, 'cache-get')).to.be.equal(true)
+      })
+    })
+  })
+
+  describe('#get', () => {
+    it('should merge values of every bucket layout', () => {
+      histogram.histogram('cache-get').labels('cache-get').observe(0.0005)
+      histogram.histogram('my-operation').labels('my-operation').observe(0.5)
+
+      const metric = histogram.get()
+
+      expect(metric).to.include({ name: 'duration_seconds', type: 'histogram' })
+      expect(metric.values.map(({ metricName, labels }) => `${metricName} ${labels.name} ${labels.le}`)).to.be.eql([
+        'duration_seconds_bucket my-operation 1',
+        'duration_seconds_bucket my-operation +Inf',
+        'duration_seconds_sum my-operation undefined',
+        'duration_seconds_count my-operation undefined',
+        'duration_seconds_bucket cache-get 0.001',
+        'duration_seconds_bucket cache-get +Inf',
+        'duration_seconds_sum cache-get undefined',
+        'duration_seconds_count cache-get undefined'
+      ])
+    })
+  })
+
+  describe('#reset', () => {
+    it('should reset every bucket layout', () => {
+      histogram.histogram('cache-get').labels('cache-get').observe(0.0005)
+      histogram.reset()
+
+      expect(histogram.get().values).to.be.eql([])
+    })
+  })
+})
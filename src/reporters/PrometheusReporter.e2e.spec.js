@@ -3,8 +3,9 @@
 const sinon = require('sinon')
 const dedent = require('dedent')
 const { expect } = require('chai')
-const { Tags } = require('opentracing')
+const { Tags, FORMAT_TEXT_MAP, FORMAT_HTTP_HEADERS, followsFrom } = require('opentracing')
 const { Tracer } = require('../tracer')
+const { ProbabilisticSampler } = require('../tracer/samplers')
 const PrometheusReporter = require('./PrometheusReporter')
 
 describe('e2e: PrometheusReporter', () => {
@@ -58,7 +59,19 @@ describe('e2e: PrometheusReporter', () => {
         operation_duration_seconds_bucket{le="10",${labelStr}} 2
         operation_duration_seconds_bucket{le="+Inf",${labelStr}} 2
         operation_duration_seconds_sum{${labelStr}} 0.4
-        operation_duration_seconds_count{${labelStr}} 2\n
+        operation_duration_seconds_count{${labelStr}} 2
+
+        # HELP operations_started_total Number of started operations
+        # TYPE operations_started_total counter
+        operations_started_total{${labelStr}} 2
+
+        # HELP operations_in_flight Number of started but not finished operations
+        # TYPE operations_in_flight gauge
+        operations_in_flight{${labelStr}} 0
+
+        # HELP operations_finished_total Number of finished operations
+        # TYPE operations_finished_total counter
+        operations_finished_total{${labelStr}} 2\n
       `)
     })
 
@@ -95,7 +108,491 @@ describe('e2e: PrometheusReporter', () => {
         operation_duration_seconds_bucket{le="10",${labelStr}} 2
         operation_duration_seconds_bucket{le="+Inf",${labelStr}} 2
         operation_duration_seconds_sum{${labelStr}} 0.4
-        operation_duration_seconds_count{${labelStr}} 2\n
+        operation_duration_seconds_count{${labelStr}} 2
+
+        # HELP operations_started_total Number of started operations
+        # TYPE operations_started_total counter
+        operations_started_total{${labelStr}} 2
+
+        # HELP operations_in_flight Number of started but not finished operations
+        # TYPE operations_in_flight gauge
+        operations_in_flight{${labelStr}} 0
+
+        # HELP operations_finished_total Number of finished operations
+        # TYPE operations_finished_total counter
+        operations_finished_total{${labelStr}} 2\n
+      `)
+    })
+  })
+
+  describe('operation buckets', () => {
+    it('should observe operations with their bucket layout', () => {
+      const reporter = new PrometheusReporter({
+        prefix: 'my_app_',
+        buckets: [0.1, 1],
+        operationBuckets: [
+          { pattern: /^batch-/, buckets: [60, 600] }
+        ]
+      })
+      const tracer = new Tracer('my-service', [reporter])
+
+      const span1 = tracer.startSpan('my-operation')
+      clock.tick(100)
+      span1.finish()
+
+      const span2 = tracer.startSpan('batch-job')
+      clock.tick(120000)
+      span2.finish()
+
+      const parentStr = `parent_service="${PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN}"`
+
+      expect(reporter.metrics()).to.have.string(dedent`
+        # HELP my_app_operation_duration_seconds Duration of operations in second
+        # TYPE my_app_operation_duration_seconds histogram
+        my_app_operation_duration_seconds_bucket{le="0.1",${parentStr},name="my-operation"} 1
+        my_app_operation_duration_seconds_bucket{le="1",${parentStr},name="my-operation"} 1
+        my_app_operation_duration_seconds_bucket{le="+Inf",${parentStr},name="my-operation"} 1
+        my_app_operation_duration_seconds_sum{${parentStr},name="my-operation"} 0.1
+        my_app_operation_duration_seconds_count{${parentStr},name="my-operation"} 1
+        my_app_operation_duration_seconds_bucket{le="60",${parentStr},name="batch-job"} 0
+        my_app_operation_duration_seconds_bucket{le="600",${parentStr},name="batch-job"} 1
+        my_app_operation_duration_seconds_bucket{le="+Inf",${parentStr},name="batch-job"} 1
+        my_app_operation_duration_seconds_sum{${parentStr},name="batch-job"} 120
+        my_app_operation_duration_seconds_count{${parentStr},name="batch-job"} 1
+      `)
+      expect(reporter.metrics()).to.have.string('# TYPE my_app_operations_finished_total counter')
+    })
+  })
+
+  describe('operation summary', () => {
+    it('should have operation summary metrics next to the histogram', () => {
+      const reporter = new PrometheusReporter({
+        durationMetrics: ['histogram', 'summary'],
+        percentiles: [0.5, 0.9]
+      })
+      const tracer = new Tracer('my-service', [reporter])
+
+      const span1 = tracer.startSpan('my-operation')
+      clock.tick(100)
+      span1.finish()
+
+      const span2 = tracer.startSpan('my-operation')
+      clock.tick(300)
+      span2.finish()
+
+      const labelStr = `parent_service="${PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN}",name="my-operation"`
+
+      expect(reporter.metrics()).to.have.string('# TYPE operation_duration_seconds histogram')
+      expect(reporter.metrics()).to.have.string(dedent`
+        # HELP operation_duration_summary_seconds Duration of operations in second
+        # TYPE operation_duration_summary_seconds summary
+        operation_duration_summary_seconds{quantile="0.5",${labelStr}} 0.2
+        operation_duration_summary_seconds{quantile="0.9",${labelStr}} 0.3
+        operation_duration_summary_seconds_sum{${labelStr}} 0.4
+        operation_duration_summary_seconds_count{${labelStr}} 2
+
+      `)
+    })
+
+    it('should reset percentiles after maxAgeSeconds', () => {
+      const reporter = new PrometheusReporter({
+        durationMetrics: 'summary',
+        percentiles: [0.5],
+        maxAgeSeconds: 60,
+        ageBuckets: 2
+      })
+      const tracer = new Tracer('my-service', [reporter])
+
+      const span = tracer.startSpan('my-operation')
+      clock.tick(100)
+      span.finish()
+
+      const labelStr = `parent_service="${PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN}",name="my-operation"`
+
+      expect(reporter.metrics()).to.not.have.string('# TYPE operation_duration_seconds histogram')
+      expect(reporter.metrics()).to.have.string(`operation_duration_summary_seconds{quantile="0.5",${labelStr}} 0.1`)
+
+      clock.tick(60000)
+
+      expect(reporter.metrics()).to.have.string(`operation_duration_summary_seconds{quantile="0.5",${labelStr}} 0`)
+      expect(reporter.metrics()).to.have.string(`operation_duration_summary_seconds_count{${labelStr}} 1`)
+    })
+  })
+
+  describe('tag labels', () => {
+    it('should have labels from span tags', () => {
+      const reporter = new PrometheusReporter({
+        labelTags: {
+          tenant: 'tenant'
+        }
+      })
+      const tracer = new Tracer('my-service', [reporter])
+
+      const span1 = tracer.startSpan('my-operation', { tags: { tenant: 'acme' } })
+      clock.tick(100)
+      span1.finish()
+
+      tracer.startSpan('my-operation')
+
+      const parentStr = `parent_service="${PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN}"`
+
+      expect(reporter.metrics()).to.have.string(dedent`
+        # HELP operations_in_flight Number of started but not finished operations
+        # TYPE operations_in_flight gauge
+        operations_in_flight{${parentStr},name="my-operation",tenant="acme"} 0
+        operations_in_flight{${parentStr},name="my-operation",tenant="${PrometheusReporter.LABEL_TAG_UNKNOWN}"} 1
+      `)
+      expect(reporter.metrics()).to.have.string(dedent`
+        # HELP operations_finished_total Number of finished operations
+        # TYPE operations_finished_total counter
+        operations_finished_total{${parentStr},name="my-operation",tenant="acme"} 1
+      `)
+    })
+  })
+
+  describe('label combinations', () => {
+    it('should move new label combinations above the limit to the overflow series', () => {
+      const reporter = new PrometheusReporter({
+        maxLabelCombinations: 1
+      })
+      const tracer = new Tracer('my-service', [reporter])
+
+      tracer.startSpan('GET /users/1').finish()
+      tracer.startSpan('GET /users/2').finish()
+      tracer.startSpan('GET /users/3').finish()
+
+      const parentStr = `parent_service="${PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN}"`
+      const overflow = PrometheusReporter.LABEL_OVERFLOW
+      const overflowStr = `parent_service="${overflow}",name="${overflow}"`
+
+      expect(reporter.metrics()).to.have.string(dedent`
+        # HELP operations_finished_total Number of finished operations
+        # TYPE operations_finished_total counter
+        operations_finished_total{${parentStr},name="GET /users/1"} 1
+        operations_finished_total{${overflowStr}} 2
+      `)
+      expect(reporter.metrics()).to.have.string(dedent`
+        # HELP metrics_series_dropped_total Number of observations moved to the overflow series
+        # TYPE metrics_series_dropped_total counter
+        metrics_series_dropped_total{metric="operations_started_total"} 2
+      `)
+      expect(reporter.metrics()).to.have.string('metrics_series_dropped_total{metric="operations_finished_total"} 2')
+    })
+
+    it('should keep the bounded labels and observe the overflow series in one bucket layout', () => {
+      const reporter = new PrometheusReporter({
+        maxLabelCombinations: 1,
+        errorLabel: true,
+        buckets: [1],
+        operationBuckets: [{ pattern: /^slow/, buckets: [10] }]
+      })
+      const tracer = new Tracer('my-service', [reporter])
+
+      tracer.startSpan('fast').finish()
+      tracer.startSpan('slow_1').finish()
+      tracer.startSpan('slow_2').finish()
+      tracer.startSpan('slow_3').setTag(Tags.ERROR, true).finish()
+
+      const parentStr = `parent_service="${PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN}"`
+      const overflow = PrometheusReporter.LABEL_OVERFLOW
+      const overflowStr = `parent_service="${overflow}",name="${overflow}"`
+
+      expect(reporter.metrics()).to.have.string(dedent`
+        # HELP operation_duration_seconds Duration of operations in second
+        # TYPE operation_duration_seconds histogram
+        operation_duration_seconds_bucket{le="1",${parentStr},name="fast",error="false"} 1
+        operation_duration_seconds_bucket{le="+Inf",${parentStr},name="fast",error="false"} 1
+        operation_duration_seconds_sum{${parentStr},name="fast",error="false"} 0
+        operation_duration_seconds_count{${parentStr},name="fast",error="false"} 1
+        operation_duration_seconds_bucket{le="1",${overflowStr},error="false"} 2
+        operation_duration_seconds_bucket{le="+Inf",${overflowStr},error="false"} 2
+        operation_duration_seconds_sum{${overflowStr},error="false"} 0
+        operation_duration_seconds_count{${overflowStr},error="false"} 2
+        operation_duration_seconds_bucket{le="1",${overflowStr},error="true"} 1
+        operation_duration_seconds_bucket{le="+Inf",${overflowStr},error="true"} 1
+        operation_duration_seconds_sum{${overflowStr},error="true"} 0
+        operation_duration_seconds_count{${overflowStr},error="true"} 1
+
+      `)
+    })
+  })
+
+  describe('operation errors', () => {
+    it('should have operation errors metrics', () => {
+      const reporter = new PrometheusReporter()
+      const tracer = new Tracer('my-service', [reporter])
+
+      const span1 = tracer.startSpan('my-operation')
+      span1.setTag(Tags.ERROR, true)
+      clock.tick(100)
+      span1.finish()
+
+      const span2 = tracer.startSpan('my-operation')
+      clock.tick(100)
+      span2.finish()
+
+      const labelStr = `parent_service="${PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN}",name="my-operation"`
+
+      expect(reporter.metrics()).to.have.string(dedent`
+        # HELP operation_errors_total Number of failed operations
+        # TYPE operation_errors_total counter
+        operation_errors_total{${labelStr}} 1
+
+      `)
+    })
+  })
+
+  describe('in flight operations', () => {
+    it('should have in flight and stuck operations metrics', () => {
+      const reporter = new PrometheusReporter()
+      const tracer = new Tracer('my-service', [reporter], {
+        stuckSpanThreshold: 1000
+      })
+
+      tracer.startSpan('my-operation')
+      const span2 = tracer.startSpan('my-operation')
+      clock.tick(100)
+      span2.finish()
+      clock.tick(1000)
+
+      tracer.close()
+
+      const labelStr = `parent_service="${PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN}",name="my-operation"`
+
+      expect(reporter.metrics()).to.have.string(dedent`
+        # HELP operations_in_flight Number of started but not finished operations
+        # TYPE operations_in_flight gauge
+        operations_in_flight{${labelStr}} 1
+      `)
+      expect(reporter.metrics()).to.have.string(dedent`
+        # HELP operations_stuck_total Number of operations open longer than the stuck span threshold
+        # TYPE operations_stuck_total counter
+        operations_stuck_total{${labelStr}} 1\n
+      `)
+    })
+  })
+
+  describe('sampling', () => {
+    const labelStr = `parent_service="${PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN}",name="my-operation"`
+
+    function traceOperations (tracer) {
+      const span1 = tracer.startSpan('my-operation')
+      const span2 = tracer.startSpan('my-operation')
+      clock.tick(100)
+      span1.finish()
+      span2.finish()
+    }
+
+    it('should scale counters and observe sampled operations once', function () {
+      const reporter = new PrometheusReporter({ buckets: [1] })
+      const tracer = new Tracer('my-service', [reporter], { sampler: new ProbabilisticSampler(0.5) })
+      const random = this.sandbox.stub(Math, 'random')
+      random.onFirstCall().returns(0.1)
+      random.onSecondCall().returns(0.9)
+
+      traceOperations(tracer)
+
+      expect(reporter.metrics()).to.be.equal(dedent`
+        # HELP operation_duration_seconds Duration of operations in second
+        # TYPE operation_duration_seconds histogram
+        operation_duration_seconds_bucket{le="1",${labelStr}} 1
+        operation_duration_seconds_bucket{le="+Inf",${labelStr}} 1
+        operation_duration_seconds_sum{${labelStr}} 0.1
+        operation_duration_seconds_count{${labelStr}} 1
+
+        # HELP operations_started_total Number of started operations
+        # TYPE operations_started_total counter
+        operations_started_total{${labelStr}} 2
+
+        # HELP operations_in_flight Number of started but not finished operations
+        # TYPE operations_in_flight gauge
+        operations_in_flight{${labelStr}} 0
+
+        # HELP operations_finished_total Number of finished operations
+        # TYPE operations_finished_total counter
+        operations_finished_total{${labelStr}} 2\n
+      `)
+    })
+
+    it('should report unsampled operations with reportUnsampled', function () {
+      const reporter = new PrometheusReporter({ buckets: [1], reportUnsampled: true })
+      const tracer = new Tracer('my-service', [reporter], { sampler: new ProbabilisticSampler(0.5) })
+      const random = this.sandbox.stub(Math, 'random')
+      random.onFirstCall().returns(0.1)
+      random.onSecondCall().returns(0.9)
+
+      traceOperations(tracer)
+
+      expect(reporter.metrics()).to.be.equal(dedent`
+        # HELP operation_duration_seconds Duration of operations in second
+        # TYPE operation_duration_seconds histogram
+        operation_duration_seconds_bucket{le="1",${labelStr}} 2
+        operation_duration_seconds_bucket{le="+Inf",${labelStr}} 2
+        operation_duration_seconds_sum{${labelStr}} 0.2
+        operation_duration_seconds_count{${labelStr}} 2
+
+        # HELP operations_started_total Number of started operations
+        # TYPE operations_started_total counter
+        operations_started_total{${labelStr}} 2
+
+        # HELP operations_in_flight Number of started but not finished operations
+        # TYPE operations_in_flight gauge
+        operations_in_flight{${labelStr}} 0
+
+        # HELP operations_finished_total Number of finished operations
+        # TYPE operations_finished_total counter
+        operations_finished_total{${labelStr}} 2\n
+      `)
+    })
+
+    it('should not skip operations unsampled by other tracers', () => {
+      const reporter = new PrometheusReporter()
+      const tracer = new Tracer('my-service', [reporter], {
+        propagation: [Tracer.PROPAGATION_W3C, Tracer.PROPAGATION_B3, Tracer.PROPAGATION_B3_SINGLE]
+      })
+      const traceId = '4bf92f3577b34da6a3ce929d0e0e4736'
+      const spanId = '00f067aa0ba902b7'
+      const carriers = [
+        { traceparent: `00-${traceId}-${spanId}-00` },
+        { 'x-b3-traceid': traceId, 'x-b3-spanid': spanId, 'x-b3-sampled': '0' },
+        { b3: `${traceId}-${spanId}-0` }
+      ]
+
+      carriers.forEach((carrier) => {
+        tracer.startSpan('my-operation', { childOf: tracer.extract(FORMAT_HTTP_HEADERS, carrier) }).finish()
+      })
+
+      expect(reporter.metrics()).to.have.string(`operations_finished_total{${labelStr}} 3`)
+    })
+
+    it('should skip operations unsampled by an upstream metrics tracer', () => {
+      const reporter = new PrometheusReporter()
+      const tracer = new Tracer('my-service', [reporter])
+      const parentTracer = new Tracer('my-parent-service', [], { sampler: new ProbabilisticSampler(0) })
+      const carrier = {}
+
+      parentTracer.inject(parentTracer.startSpan('parent-operation'), FORMAT_HTTP_HEADERS, carrier)
+      tracer.startSpan('my-operation', { childOf: tracer.extract(FORMAT_HTTP_HEADERS, carrier) }).finish()
+
+      expect(reporter.metrics()).to.not.have.string('operations_finished_total{')
+    })
+  })
+
+  describe('db_client_operation', () => {
+    it('should have db_client_operation metrics', () => {
+      const reporter = new PrometheusReporter({
+        buckets: [0.1, 1]
+      })
+      const tracer = new Tracer('my-service', [reporter])
+
+      const span = tracer.startSpan('pg_query', {
+        tags: {
+          [Tags.DB_TYPE]: 'sql',
+          [Tags.DB_INSTANCE]: 'users',
+          [Tags.DB_STATEMENT]: 'UPDATE users SET name = $1',
+          [Tags.ERROR]: true
+        }
+      })
+      clock.tick(300)
+      span.finish()
+
+      const labelStr = 'db_type="sql",db_instance="users",command="UPDATE"'
+
+      expect(reporter.metrics()).to.have.string(dedent`
+        # HELP db_client_operation_duration_seconds Duration of database and cache client operations in second
+        # TYPE db_client_operation_duration_seconds histogram
+        db_client_operation_duration_seconds_bucket{le="0.1",${labelStr}} 0
+        db_client_operation_duration_seconds_bucket{le="1",${labelStr}} 1
+        db_client_operation_duration_seconds_bucket{le="+Inf",${labelStr}} 1
+        db_client_operation_duration_seconds_sum{${labelStr}} 0.3
+        db_client_operation_duration_seconds_count{${labelStr}} 1
+
+        # HELP db_client_operation_errors_total Number of failed database and cache client operations
+        # TYPE db_client_operation_errors_total counter
+        db_client_operation_errors_total{${labelStr}} 1\n
+      `)
+    })
+  })
+
+  describe('message_bus', () => {
+    it('should have message_bus metrics with lag', () => {
+      const reporter = new PrometheusReporter({
+        buckets: [0.1, 1]
+      })
+      const producerTracer = new Tracer('producer-service')
+      const consumerTracer = new Tracer('consumer-service', [reporter])
+      const message = {}
+
+      // producer publishes and the message waits in the queue
+      const producerSpan = producerTracer.startSpan('publish', {
+        tags: {
+          [Tags.SPAN_KIND]: Tags.SPAN_KIND_MESSAGING_PRODUCER,
+          [Tags.MESSAGE_BUS_DESTINATION]: 'orders'
+        }
+      })
+      producerTracer.inject(producerSpan, FORMAT_TEXT_MAP, message)
+      clock.tick(50)
+      producerSpan.finish()
+      clock.tick(200)
+
+      // consumer handles the message
+      const consumerSpan = consumerTracer.startSpan('consume', {
+        references: [followsFrom(consumerTracer.extract(FORMAT_TEXT_MAP, message))],
+        tags: {
+          [Tags.SPAN_KIND]: Tags.SPAN_KIND_MESSAGING_CONSUMER,
+          [Tags.MESSAGE_BUS_DESTINATION]: 'orders'
+        }
+      })
+      clock.tick(50)
+      consumerSpan.finish()
+
+      const labelStr = 'destination="orders"'
+
+      expect(reporter.metrics()).to.have.string(dedent`
+        # HELP message_bus_consume_duration_seconds Duration of consuming messages in second
+        # TYPE message_bus_consume_duration_seconds histogram
+        message_bus_consume_duration_seconds_bucket{le="0.1",${labelStr}} 1
+        message_bus_consume_duration_seconds_bucket{le="1",${labelStr}} 1
+        message_bus_consume_duration_seconds_bucket{le="+Inf",${labelStr}} 1
+        message_bus_consume_duration_seconds_sum{${labelStr}} 0.05
+        message_bus_consume_duration_seconds_count{${labelStr}} 1
+
+        # HELP message_bus_lag_seconds Time from the start of publishing to the end of consuming messages in second
+        # TYPE message_bus_lag_seconds histogram
+        message_bus_lag_seconds_bucket{le="0.1",${labelStr}} 0
+        message_bus_lag_seconds_bucket{le="1",${labelStr}} 1
+        message_bus_lag_seconds_bucket{le="+Inf",${labelStr}} 1
+        message_bus_lag_seconds_sum{${labelStr}} 0.3
+        message_bus_lag_seconds_count{${labelStr}} 1\n
+      `)
+    })
+
+    it('should have message_bus publish metrics', () => {
+      const reporter = new PrometheusReporter({
+        buckets: [0.1, 1]
+      })
+      const tracer = new Tracer('producer-service', [reporter])
+
+      const span = tracer.startSpan('publish', {
+        tags: {
+          [Tags.SPAN_KIND]: Tags.SPAN_KIND_MESSAGING_PRODUCER,
+          [Tags.MESSAGE_BUS_DESTINATION]: 'orders'
+        }
+      })
+      clock.tick(50)
+      span.finish()
+
+      const labelStr = 'destination="orders"'
+
+      expect(reporter.metrics()).to.not.have.string('message_bus_lag_seconds')
+      expect(reporter.metrics()).to.have.string(dedent`
+        # HELP message_bus_publish_duration_seconds Duration of publishing messages in second
+        # TYPE message_bus_publish_duration_seconds histogram
+        message_bus_publish_duration_seconds_bucket{le="0.1",${labelStr}} 1
+        message_bus_publish_duration_seconds_bucket{le="1",${labelStr}} 1
+        message_bus_publish_duration_seconds_bucket{le="+Inf",${labelStr}} 1
+        message_bus_publish_duration_seconds_sum{${labelStr}} 0.05
+        message_bus_publish_duration_seconds_count{${labelStr}} 1\n
       `)
     })
   })
@@ -113,16 +610,16 @@ describe('e2e: PrometheusReporter', () => {
       span1.setTag(Tags.HTTP_URL, 'http://127.0.0.1/foo')
       span1.setTag(Tags.HTTP_METHOD, 'GET')
       span1.setTag(Tags.HTTP_STATUS_CODE, 200)
-      span1.setTag(Tags.SPAN_KIND_RPC_SERVER, true)
+      span1.setTag(Tags.SPAN_KIND, Tags.SPAN_KIND_RPC_SERVER)
       clock.tick(100)
       span1.finish()
 
-      // will be ignored
+      // will be ignored, except the started and finished counters as the URL is tagged after start
       const span2 = tracer.startSpan('http_request')
       span2.setTag(Tags.HTTP_URL, 'http://127.0.0.1/bar')
       span2.setTag(Tags.HTTP_METHOD, 'GET')
       span2.setTag(Tags.HTTP_STATUS_CODE, 200)
-      span2.setTag(Tags.SPAN_KIND_RPC_SERVER, true)
+      span2.setTag(Tags.SPAN_KIND, Tags.SPAN_KIND_RPC_SERVER)
       clock.tick(300)
       span2.finish()
 
@@ -147,6 +644,18 @@ describe('e2e: PrometheusReporter', () => {
         operation_duration_seconds_sum{${labelStr1}} 0.1
         operation_duration_seconds_count{${labelStr1}} 1
 
+        # HELP operations_started_total Number of started operations
+        # TYPE operations_started_total counter
+        operations_started_total{${labelStr1}} 2
+
+        # HELP operations_in_flight Number of started but not finished operations
+        # TYPE operations_in_flight gauge
+        operations_in_flight{${labelStr1}} 0
+
+        # HELP operations_finished_total Number of finished operations
+        # TYPE operations_finished_total counter
+        operations_finished_total{${labelStr1}} 2
+
         # HELP http_request_handler_duration_seconds Duration of HTTP requests in second
         # TYPE http_request_handler_duration_seconds histogram
         http_request_handler_duration_seconds_bucket{le="0.005",${labelStr2}} 0
@@ -165,5 +674,64 @@ describe('e2e: PrometheusReporter', () => {
         http_request_handler_duration_seconds_count{${labelStr2}} 1\n
       `)
     })
+
+    it('should have http_client_request metrics', () => {
+      const reporter = new PrometheusReporter({
+        buckets: [0.1, 1]
+      })
+      const tracer = new Tracer('my-service', [reporter])
+
+      const span = tracer.startSpan('http_request', {
+        tags: {
+          [Tags.SPAN_KIND]: Tags.SPAN_KIND_RPC_CLIENT,
+          [Tags.PEER_SERVICE]: 'users',
+          [Tags.PEER_HOSTNAME]: 'users.local',
+          [Tags.HTTP_METHOD]: 'GET'
+        }
+      })
+      span.setTag(Tags.HTTP_STATUS_CODE, 200)
+      clock.tick(100)
+      span.finish()
+
+      const labelStr = 'peer_service="users",peer_hostname="users.local",method="GET",code="200"'
+
+      expect(reporter.metrics()).to.not.have.string('# TYPE http_request_handler_duration_seconds histogram')
+      expect(reporter.metrics()).to.have.string(dedent`
+        # HELP http_client_request_duration_seconds Duration of HTTP client requests in second
+        # TYPE http_client_request_duration_seconds histogram
+        http_client_request_duration_seconds_bucket{le="0.1",${labelStr}} 1
+        http_client_request_duration_seconds_bucket{le="1",${labelStr}} 1
+        http_client_request_duration_seconds_bucket{le="+Inf",${labelStr}} 1
+        http_client_request_duration_seconds_sum{${labelStr}} 0.1
+        http_client_request_duration_seconds_count{${labelStr}} 1\n
+      `)
+    })
+
+    it('should have http_request_handler summary metrics', () => {
+      const reporter = new PrometheusReporter({
+        durationMetrics: 'summary',
+        percentiles: [0.5]
+      })
+      const tracer = new Tracer('my-service', [reporter])
+
+      const span = tracer.startSpan('http_request')
+      span.setTag(Tags.HTTP_URL, 'http://127.0.0.1/foo')
+      span.setTag(Tags.HTTP_METHOD, 'GET')
+      span.setTag(Tags.HTTP_STATUS_CODE, 200)
+      span.setTag(Tags.SPAN_KIND, Tags.SPAN_KIND_RPC_SERVER)
+      clock.tick(100)
+      span.finish()
+
+      const labelStr = `parent_service="${PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN}",method="GET",code="200"`
+
+      expect(reporter.metrics()).to.not.have.string('# TYPE http_request_handler_duration_seconds histogram')
+      expect(reporter.metrics()).to.have.string(dedent`
+        # HELP http_request_handler_duration_summary_seconds Duration of HTTP requests in second
+        # TYPE http_request_handler_duration_summary_seconds summary
+        http_request_handler_duration_summary_seconds{quantile="0.5",${labelStr}} 0.1
+        http_request_handler_duration_summary_seconds_sum{${labelStr}} 0.1
+        http_request_handler_duration_summary_seconds_count{${labelStr}} 1\n
+      `)
+    })
   })
 })
@@ -2,13 +2,67 @@
 
 const assert = require('assert')
 const Prometheus = require('prom-client')
-const { Tags } = require('opentracing')
+const { Tags, REFERENCE_FOLLOWS_FROM } = require('opentracing')
 const Span = require('../tracer/Span')
+const OperationHistogram = require('./OperationHistogram')
 
 const DURATION_HISTOGRAM_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+const DURATION_SUMMARY_PERCENTILES = [0.01, 0.05, 0.5, 0.9, 0.95, 0.99, 0.999]
+const DURATION_SUMMARY_AGE_BUCKETS = 5
+const DURATION_METRIC_HISTOGRAM = 'histogram'
+const DURATION_METRIC_SUMMARY = 'summary'
 const METRICS_NAME_OPERATION_DURATION_SECONDS = 'operation_duration_seconds'
+const METRICS_NAME_OPERATION_DURATION_SUMMARY_SECONDS = 'operation_duration_summary_seconds'
+const METRICS_NAME_OPERATION_ERRORS_TOTAL = 'operation_errors_total'
+const METRICS_NAME_OPERATIONS_STARTED_TOTAL = 'operations_started_total'
+const METRICS_NAME_OPERATIONS_FINISHED_TOTAL = 'operations_finished_total'
+const METRICS_NAME_OPERATIONS_IN_FLIGHT = 'operations_in_flight'
+const METRICS_NAME_OPERATIONS_STUCK_TOTAL = 'operations_stuck_total'
 const METRICS_NAME_HTTP_REQUEST_HANDLER_DURATION_SECONDS = 'http_request_handler_duration_seconds'
+const METRICS_NAME_HTTP_REQUEST_HANDLER_DURATION_SUMMARY_SECONDS = 'http_request_handler_duration_summary_seconds'
+const METRICS_NAME_HTTP_CLIENT_REQUEST_DURATION_SECONDS = 'http_client_request_duration_seconds'
+const METRICS_NAME_HTTP_CLIENT_REQUEST_DURATION_SUMMARY_SECONDS = 'http_client_request_duration_summary_seconds'
+const METRICS_NAME_DB_CLIENT_OPERATION_DURATION_SECONDS = 'db_client_operation_duration_seconds'
+const METRICS_NAME_DB_CLIENT_OPERATION_DURATION_SUMMARY_SECONDS = 'db_client_operation_duration_summary_seconds'
+const METRICS_NAME_DB_CLIENT_OPERATION_ERRORS_TOTAL = 'db_client_operation_errors_total'
+const METRICS_NAME_MESSAGE_BUS_PUBLISH_DURATION_SECONDS = 'message_bus_publish_duration_seconds'
+const METRICS_NAME_MESSAGE_BUS_PUBLISH_DURATION_SUMMARY_SECONDS = 'message_bus_publish_duration_summary_seconds'
+const METRICS_NAME_MESSAGE_BUS_CONSUME_DURATION_SECONDS = 'message_bus_consume_duration_seconds'
+const METRICS_NAME_MESSAGE_BUS_CONSUME_DURATION_SUMMARY_SECONDS = 'message_bus_consume_duration_summary_seconds'
+const METRICS_NAME_MESSAGE_BUS_LAG_SECONDS = 'message_bus_lag_seconds'
+const METRICS_NAME_MESSAGE_BUS_LAG_SUMMARY_SECONDS = 'message_bus_lag_summary_seconds'
+const METRICS_NAME_SERIES_DROPPED_TOTAL = 'metrics_series_dropped_total'
 const LABEL_PARENT_SERVICE_UNKNOWN = 'unknown'
+const LABEL_TAG_UNKNOWN = 'unknown'
+const LABEL_OVERFLOW = '__other__'
+const LABEL_REFERENCE_TYPE_NONE = 'none'
+const OPERATION_NAME_NORMALIZER_UUID = {
+  pattern: /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi,
+  replacement: ':uuid'
+}
+const OPERATION_NAME_NORMALIZER_NUMERIC_ID = {
+  pattern: /\b\d+\b/g,
+  replacement: ':id'
+}
+const LABEL_NAMES_RESERVED = [
+  'parent_service', 'name', 'method', 'code', 'error', 'peer_service', 'peer_hostname', 'db_type', 'db_instance',
+  'command', 'destination', 'reference_type', 'le', 'quantile'
+]
+// Labels with a small, fixed set of values, kept in the overflow series
+const LABEL_NAMES_BOUNDED = ['method', 'code', 'error', 'reference_type', 'db_type', 'command']
+const LABEL_DB_STATEMENT_VERB_OTHER = 'other'
+// SQL and Redis commands, other first words are labelled as 'other' to keep the cardinality bounded
+const DB_STATEMENT_VERBS = [
+  'SELECT', 'INSERT', 'UPDATE', 'DELETE', 'UPSERT', 'MERGE', 'REPLACE', 'WITH', 'CALL', 'EXEC', 'EXPLAIN',
+  'CREATE', 'ALTER', 'DROP', 'TRUNCATE', 'BEGIN', 'START', 'COMMIT', 'ROLLBACK', 'SAVEPOINT', 'SHOW',
+  'GET', 'SET', 'SETEX', 'GETSET', 'MGET', 'MSET', 'DEL', 'EXISTS', 'EXPIRE', 'TTL', 'INCR', 'INCRBY', 'DECR',
+  'DECRBY', 'HGET', 'HSET', 'HMGET', 'HMSET', 'HGETALL', 'HDEL', 'HINCRBY', 'LPUSH', 'RPUSH', 'LPOP', 'RPOP',
+  'LRANGE', 'LLEN', 'SADD', 'SREM', 'SMEMBERS', 'SISMEMBER', 'ZADD', 'ZREM', 'ZRANGE', 'ZRANGEBYSCORE', 'ZSCORE',
+  'KEYS', 'SCAN', 'PUBLISH', 'SUBSCRIBE', 'EVAL', 'EVALSHA', 'MULTI', 'WATCH', 'PING', 'FLUSHDB'
+]
+const DB_STATEMENT_VERB_REGEXP = /^[\s(]*([a-zA-Z]+)/
+const LABEL_NAME_REGEXP = /^[a-zA-Z_][a-zA-Z0-9_]*$/
+const METRICS_NAME_PREFIX_REGEXP = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/
 
 /**
 * Observe span events and expose them in Prometheus metrics format
@@ -27,20 +81,280 @@ class PrometheusReporter {
     return parentService
   }
 
+  /**
+  * @static isError
+  * @param {Span} span
+  * @return {Boolean} isError - span is tagged with Tags.ERROR
+  */
+  static isError (span) {
+    const error = span.getTag(Tags.ERROR)
+
+    return error === true || error === 'true'
+  }
+
+  /**
+  * @static isIgnored
+  * @param {Span} span
+  * @param {Object} ignoreTags - { [tagKey]: RegExp }
+  * @return {Boolean} isIgnored - any tag value matches its ignoreTags RegExp
+  */
+  static isIgnored (span, ignoreTags) {
+    return Object.entries(ignoreTags).some(([tagKey, regexp]) => {
+      const tagValue = span.getTag(tagKey)
+      return Boolean(tagValue && tagValue.match(regexp))
+    })
+  }
+
+  /**
+  * Span kind from Tags.SPAN_KIND, falls back to the deprecated style of tagging with the kind as key,
+  * like span.setTag(Tags.SPAN_KIND_RPC_SERVER, true), any truthy value is accepted
+  * @static getSpanKind
+  * @param {Span} span
+  * @return {String|undefined} spanKind - like Tags.SPAN_KIND_RPC_SERVER
+  */
+  static getSpanKind (span) {
+    const spanKind = span.getTag(Tags.SPAN_KIND)
+
+    if (spanKind) {
+      return spanKind
+    }
+
+    return [Tags.SPAN_KIND_RPC_SERVER, Tags.SPAN_KIND_RPC_CLIENT]
+      .find((deprecatedSpanKind) => Boolean(span.getTag(deprecatedSpanKind)))
+  }
+
+  /**
+  * @static isHttp
+  * @param {Span} span
+  * @return {Boolean} isHttp - span is tagged with any of the HTTP tags
+  */
+  static isHttp (span) {
+    return Boolean(span.getTag(Tags.HTTP_URL) || span.getTag(Tags.HTTP_METHOD) || span.getTag(Tags.HTTP_STATUS_CODE))
+  }
+
+  /**
+  * First word of the statement without the values, like SELECT, INSERT, GET or SET
+  * @static getDbStatementVerb
+  * @param {Span} span
+  * @return {String} verb - uppercased, 'other' when it isn't in DB_STATEMENT_VERBS,
+  *         'unknown' when the span doesn't have a statement starting with a word
+  */
+  static getDbStatementVerb (span) {
+    const statement = span.getTag(Tags.DB_STATEMENT)
+    const match = typeof statement === 'string' && statement.match(DB_STATEMENT_VERB_REGEXP)
+
+    if (!match) {
+      return LABEL_TAG_UNKNOWN
+    }
+
+    const verb = match[1].toUpperCase()
+
+    return DB_STATEMENT_VERBS.includes(verb) ? verb : LABEL_DB_STATEMENT_VERB_OTHER
+  }
+
+  /**
+  * Time from the start of the producer span to the finish of the consumer span,
+  * the producer is the first FOLLOWS_FROM reference with a start time
+  * @static getMessageBusLag
+  * @param {Span} span - consumer span
+  * @return {Number|undefined} lag - in milliseconds, undefined without producer start time
+  */
+  static getMessageBusLag (span) {
+    const producerReference = (span.references() || []).find((reference) =>
+      reference.type() === REFERENCE_FOLLOWS_FROM && reference.referencedContext().startTime() !== undefined)
+
+    if (!producerReference) {
+      return undefined
+    }
+
+    const finishTime = span.startTime() + span.duration()
+
+    // Clocks of the producer and consumer hosts can be skewed
+    return Math.max(finishTime - producerReference.referencedContext().startTime(), 0)
+  }
+
+  /**
+  * @static validateBuckets
+  * @param {Array} buckets
+  * @throws {AssertionError} - buckets must be increasing finite numbers
+  */
+  static validateBuckets (buckets) {
+    assert(Array.isArray(buckets) && buckets.length, 'buckets must be a non-empty Array')
+    buckets.forEach((bucket, index) => {
+      assert(typeof bucket === 'number' && Number.isFinite(bucket), 'buckets must be finite numbers')
+      assert(index === 0 || buckets[index - 1] < bucket, 'buckets must be in increasing order')
+    })
+  }
+
+  /**
+  * @static validatePercentiles
+  * @param {Array} percentiles
+  * @throws {AssertionError} - percentiles must be numbers between 0 and 1
+  */
+  static validatePercentiles (percentiles) {
+    assert(Array.isArray(percentiles) && percentiles.length, 'percentiles must be a non-empty Array')
+    percentiles.forEach((percentile) => {
+      assert(typeof percentile === 'number' && percentile >= 0 && percentile <= 1,
+        'percentiles must be between 0 and 1')
+    })
+  }
+
+  /**
+  * @static parseLabelTags
+  * @param {Object} labelTags - { [tagKey]: labelName } or { [tagKey]: { label, defaultValue, normalize } }
+  * @returns {Array} labelTags - Array of { tag, label, defaultValue, normalize }
+  * @throws {AssertionError} - labels must be valid, unique and not reserved
+  */
+  static parseLabelTags (labelTags) {
+    assert(labelTags && typeof labelTags === 'object' && !Array.isArray(labelTags), 'labelTags must be an Object')
+
+    const parsedLabelTags = Object.entries(labelTags).map(([tag, options]) => {
+      const {
+        label,
+        defaultValue = LABEL_TAG_UNKNOWN,
+        normalize
+      } = typeof options === 'string' ? { label: options } : Object(options)
+
+      assert(typeof label === 'string' && LABEL_NAME_REGEXP.test(label) && !label.startsWith('__'),
+        `Invalid label for tag ${tag}`)
+      assert(!LABEL_NAMES_RESERVED.includes(label), `Reserved label ${label}`)
+      assert(typeof defaultValue === 'string', `defaultValue of tag ${tag} must be a String`)
+      assert(normalize === undefined || typeof normalize === 'function', `normalize of tag ${tag} must be a Function`)
+
+      return { tag, label, defaultValue, normalize }
+    })
+
+    parsedLabelTags.forEach(({ label }, index) => {
+      assert(parsedLabelTags.findIndex((labelTag) => labelTag.label === label) === index, `Duplicated label ${label}`)
+    })
+
+    return parsedLabelTags
+  }
+
+  /**
+  * @static validateOperationNameNormalizers
+  * @param {Array} operationNameNormalizers
+  * @throws {AssertionError} - normalizers must be Functions or { pattern, replacement }
+  */
+  static validateOperationNameNormalizers (operationNameNormalizers) {
+    assert(Array.isArray(operationNameNormalizers), 'operationNameNormalizers must be an Array')
+    operationNameNormalizers.forEach((normalizer) => {
+      assert(typeof normalizer === 'function' ||
+        (normalizer && normalizer.pattern instanceof RegExp && typeof normalizer.replacement === 'string'),
+      'Invalid operation name normalizer')
+    })
+  }
+
+  /**
+  * Operation name of the span after the normalizers applied in order
+  * @static normalizeOperationName
+  * @param {Span} span
+  * @param {Array} operationNameNormalizers
+  * @returns {String} operationName
+  */
+  static normalizeOperationName (span, operationNameNormalizers) {
+    return operationNameNormalizers.reduce((operationName, normalizer) => (
+      typeof normalizer === 'function' ?
+        normalizer(operationName, span) :
+        operationName.replace(normalizer.pattern, normalizer.replacement)
+    ), span.operationName())
+  }
+
   /**
   * @constructor
   * @param {Object} [options={}]
   * @param {Object} [options.ignoreTags={}]
+  * @param {Boolean} [options.errorLabel=false] - add error label to operation duration metrics
+  * @param {Boolean} [options.referenceTypeLabel=false] - add reference_type label to operation duration metrics,
+  *        'child_of', 'follows_from' or 'none' for root spans
+  * @param {String} [options.prefix=''] - metric name prefix, like 'my_app_'
+  * @param {Array} [options.buckets=DURATION_HISTOGRAM_BUCKETS] - duration histogram buckets in seconds
+  * @param {Array} [options.operationBuckets=[]] - Array of { pattern, buckets }, operation duration
+  *        histogram buckets by operation name RegExp or exact name, the first matching pattern wins
+  * @param {String|Array} [options.durationMetrics='histogram'] - 'histogram', 'summary' or both in an Array
+  * @param {Array} [options.percentiles=DURATION_SUMMARY_PERCENTILES] - duration summary percentiles
+  * @param {Number} [options.maxAgeSeconds] - duration summary sliding window, observations are kept forever by default
+  * @param {Number} [options.ageBuckets=5] - number of buckets in the sliding window
+  * @param {Object} [options.labelTags={}] - extra labels from span tags, { [tagKey]: labelName } or
+  *        { [tagKey]: { label, defaultValue='unknown', normalize: (tagValue, span) => labelValue } }
+  * @param {Number} [options.maxLabelCombinations=Infinity] - distinct label combinations per metric,
+  *        observations with new combinations above the limit go to the '__other__' series
+  * @param {Array} [options.operationNameNormalizers=[]] - applied in order on operation names,
+  *        Functions (operationName, span) => operationName or { pattern: RegExp, replacement: String }
+  * @param {Boolean} [options.reportUnsampled=false] - report every span regardless of the sampling decision,
+  *        otherwise only sampled spans are reported, counters are scaled by the sampling rate,
+  *        histograms and summaries observe sampled spans once
   * @returns {PrometheusReporter}
   */
-  constructor ({ ignoreTags = {} } = {}) {
+  constructor ({
+    ignoreTags = {},
+    errorLabel = false,
+    referenceTypeLabel = false,
+    prefix = '',
+    buckets = DURATION_HISTOGRAM_BUCKETS,
+    operationBuckets = [],
+    durationMetrics = DURATION_METRIC_HISTOGRAM,
+    percentiles = DURATION_SUMMARY_PERCENTILES,
+    maxAgeSeconds,
+    ageBuckets = maxAgeSeconds === undefined ? undefined : DURATION_SUMMARY_AGE_BUCKETS,
+    labelTags = {},
+    maxLabelCombinations = Infinity,
+    operationNameNormalizers = [],
+    reportUnsampled = false
+  } = {}) {
+    const durationMetricTypes = [].concat(durationMetrics)
+
+    assert(typeof prefix === 'string' && (!prefix || METRICS_NAME_PREFIX_REGEXP.test(prefix)), 'Invalid prefix')
+    PrometheusReporter.validateBuckets(buckets)
+    assert(Array.isArray(operationBuckets), 'operationBuckets must be an Array')
+    operationBuckets.forEach(({ pattern, buckets: patternBuckets } = {}) => {
+      assert(pattern instanceof RegExp || typeof pattern === 'string', 'operationBuckets pattern is required')
+      PrometheusReporter.validateBuckets(patternBuckets)
+    })
+    assert(durationMetricTypes.length && durationMetricTypes.every((type) =>
+      [DURATION_METRIC_HISTOGRAM, DURATION_METRIC_SUMMARY].includes(type)), 'Invalid durationMetrics')
+    PrometheusReporter.validatePercentiles(percentiles)
+    assert(maxAgeSeconds === undefined || (typeof maxAgeSeconds === 'number' && maxAgeSeconds > 0),
+      'maxAgeSeconds must be a positive number')
+    assert(ageBuckets === undefined || (maxAgeSeconds !== undefined && Number.isInteger(ageBuckets) && ageBuckets > 0),
+      'ageBuckets must be a positive integer with maxAgeSeconds')
+    assert(maxLabelCombinations === Infinity || (Number.isInteger(maxLabelCombinations) && maxLabelCombinations > 0),
+      'maxLabelCombinations must be a positive integer')
+    PrometheusReporter.validateOperationNameNormalizers(operationNameNormalizers)
+
     this._registry = new Prometheus.Registry()
     this._options = {
-      ignoreTags
+      ignoreTags,
+      errorLabel,
+      referenceTypeLabel,
+      prefix,
+      buckets,
+      operationBuckets,
+      histogram: durationMetricTypes.includes(DURATION_METRIC_HISTOGRAM),
+      summary: durationMetricTypes.includes(DURATION_METRIC_SUMMARY),
+      percentiles,
+      maxAgeSeconds,
+      ageBuckets,
+      labelTags: PrometheusReporter.parseLabelTags(labelTags),
+      maxLabelCombinations,
+      operationNameNormalizers,
+      reportUnsampled
     }
+    // In flight labels by span, as the operation name can change until finish
+    this._inFlightLabels = new WeakMap()
+    // Spans ignored at start, to keep them ignored when their tags change
+    this._ignoredSpans = new WeakSet()
+    // Label combinations by metric name, to cap the number of series
+    this._labelCombinations = new Map()
 
     // Initialize metrics
-    this._metricsOperationDurationSeconds()
+    if (this._options.histogram) {
+      this._metricsOperationDurationSeconds()
+    }
+
+    if (this._options.summary) {
+      this._metricsOperationDurationSummarySeconds()
+    }
   }
 
   /**
@@ -52,19 +366,75 @@ class PrometheusReporter {
     return this._registry.metrics()
   }
 
+  /**
+  * Called by Tracer to decide whether unsampled spans are reported
+  * @method reportsUnsampled
+  * @returns {Boolean}
+  */
+  reportsUnsampled () {
+    return this._options.reportUnsampled
+  }
+
+  /**
+  * Called by Tracer when a span is started
+  * ignoreTags are matched against the tags known at start, ignored spans stay ignored until finish
+  * @method reportStart
+  * @param {Span} span
+  */
+  reportStart (span) {
+    assert(span instanceof Span, 'span is required')
+
+    if (this._isIgnored(span)) {
+      this._ignoredSpans.add(span)
+      return
+    }
+
+    const labels = this._labelValues(span, [PrometheusReporter.getParentService(span), this._operationName(span)])
+
+    this._labels(this._metricsOperationsStartedTotal(), labels)
+      .inc(this._weight(span))
+
+    // Stored after the cap, to decrement the same series at finish
+    const operationsInFlight = this._metricsOperationsInFlight()
+    const inFlightLabels = this._limitLabels(operationsInFlight, labels)
+
+    operationsInFlight
+      .labels(...inFlightLabels)
+      .inc(this._weight(span))
+
+    this._inFlightLabels.set(span, inFlightLabels)
+  }
+
   /**
   * Called by Tracer when a span is finished
+  * Spans counted as started are counted as finished even when tags added after start match ignoreTags,
+  * the other metrics of these spans are skipped
   * @method reportFinish
   * @param {Span} span
   */
   reportFinish (span) {
     assert(span instanceof Span, 'span is required')
 
-    // Ignore by tag value
-    const isIgnored = Object.entries(this._options.ignoreTags).some(([tagKey, regexp]) => {
-      const tagValue = span.getTag(tagKey)
-      return tagValue && tagValue.match(regexp)
-    })
+    // In flight spans are tracked regardless of the tags added after start
+    const inFlightLabels = this._inFlightLabels.get(span)
+    const isIgnored = this._ignoredSpans.has(span) || this._isIgnored(span)
+
+    if (inFlightLabels) {
+      this._metricsOperationsInFlight()
+        .labels(...inFlightLabels)
+        .dec(this._weight(span))
+
+      this._inFlightLabels.delete(span)
+    }
+
+    this._ignoredSpans.delete(span)
+
+    if (inFlightLabels || !isIgnored) {
+      const labels = this._labelValues(span, [PrometheusReporter.getParentService(span), this._operationName(span)])
+
+      this._labels(this._metricsOperationsFinishedTotal(), labels)
+        .inc(this._weight(span))
+    }
 
     if (isIgnored) {
       return
@@ -73,11 +443,178 @@ class PrometheusReporter {
     // Operation metrics
     this._reportOperationFinish(span)
 
+    const spanKind = PrometheusReporter.getSpanKind(span)
+
     // HTTP Request
-    if (span.getTag(Tags.SPAN_KIND_RPC_SERVER) &&
-      (span.getTag(Tags.HTTP_URL) || span.getTag(Tags.HTTP_METHOD) || span.getTag(Tags.HTTP_STATUS_CODE))) {
-      this._reportHttpRequestFinish(span)
+    if (PrometheusReporter.isHttp(span)) {
+      if (spanKind === Tags.SPAN_KIND_RPC_SERVER) {
+        this._reportHttpRequestFinish(span)
+      } else if (spanKind === Tags.SPAN_KIND_RPC_CLIENT) {
+        this._reportHttpClientRequestFinish(span)
+      }
+    }
+
+    // Message bus
+    if (spanKind === Tags.SPAN_KIND_MESSAGING_PRODUCER) {
+      this._reportMessageBusPublishFinish(span)
+    } else if (spanKind === Tags.SPAN_KIND_MESSAGING_CONSUMER) {
+      this._reportMessageBusConsumeFinish(span)
+    }
+
+    // Database and cache clients
+    if (span.getTag(Tags.DB_TYPE)) {
+      this._reportDbClientOperationFinish(span)
+    }
+  }
+
+  /**
+  * Called by Tracer when a span is open longer than the stuck span threshold
+  * @method reportStuck
+  * @param {Span} span
+  */
+  reportStuck (span) {
+    assert(span instanceof Span, 'span is required')
+
+    if (this._ignoredSpans.has(span) || this._isIgnored(span)) {
+      return
+    }
+
+    const labels = this._labelValues(span, [PrometheusReporter.getParentService(span), this._operationName(span)])
+
+    this._labels(this._metricsOperationsStuckTotal(), labels)
+      .inc(this._weight(span))
+  }
+
+  /**
+  * Prefixed metric name
+  * @method _metricName
+  * @private
+  * @param {String} name
+  * @returns {String} metricName
+  */
+  _metricName (name) {
+    return `${this._options.prefix}${name}`
+  }
+
+  /**
+  * Counter increment of the span, a sampled span stands for 1 / samplingRate spans
+  * when unsampled spans are not reported
+  * @method _weight
+  * @private
+  * @param {Span} span
+  * @returns {Number} weight
+  */
+  _weight (span) {
+    const samplingRate = span.context().samplingRate()
+
+    return this._options.reportUnsampled || !samplingRate ? 1 : 1 / samplingRate
+  }
+
+  /**
+  * Operation name after the operationNameNormalizers
+  * @method _operationName
+  * @private
+  * @param {Span} span
+  * @returns {String} operationName
+  */
+  _operationName (span) {
+    return PrometheusReporter.normalizeOperationName(span, this._options.operationNameNormalizers)
+  }
+
+  /**
+  * Label values capped by maxLabelCombinations
+  * New combinations above the limit are replaced with the overflow series and counted as dropped,
+  * the overflow series keeps the values of the bounded labels like error, method and code
+  * @method _limitLabels
+  * @private
+  * @param {Object} metric - Prometheus metric
+  * @param {Array} labelValues
+  * @returns {Array} labelValues - the same Array when the combination is within the limit
+  */
+  _limitLabels (metric, labelValues) {
+    if (this._options.maxLabelCombinations === Infinity) {
+      return labelValues
+    }
+
+    let labelCombinations = this._labelCombinations.get(metric.name)
+
+    if (!labelCombinations) {
+      labelCombinations = new Set()
+      this._labelCombinations.set(metric.name, labelCombinations)
+    }
+
+    const labelCombination = JSON.stringify(labelValues)
+
+    if (labelCombinations.has(labelCombination)) {
+      return labelValues
+    }
+
+    if (labelCombinations.size < this._options.maxLabelCombinations) {
+      labelCombinations.add(labelCombination)
+      return labelValues
     }
+
+    this._metricsSeriesDroppedTotal()
+      .labels(metric.name)
+      .inc()
+
+    return labelValues.map((labelValue, index) => (
+      LABEL_NAMES_BOUNDED.includes(metric.labelNames[index]) ? labelValue : LABEL_OVERFLOW
+    ))
+  }
+
+  /**
+  * Labelled metric with the label values capped by maxLabelCombinations
+  * @method _labels
+  * @private
+  * @param {Object} metric - Prometheus metric
+  * @param {Array} labelValues
+  * @returns {Object} labelledMetric
+  */
+  _labels (metric, labelValues) {
+    return metric.labels(...this._limitLabels(metric, labelValues))
+  }
+
+  /**
+  * Label names extended with the labelTags labels
+  * @method _labelNames
+  * @private
+  * @param {Array} labelNames
+  * @returns {Array} labelNames
+  */
+  _labelNames (labelNames) {
+    return labelNames.concat(this._options.labelTags.map(({ label }) => label))
+  }
+
+  /**
+  * Label values extended with the labelTags values of the span
+  * @method _labelValues
+  * @private
+  * @param {Span} span
+  * @param {Array} labelValues
+  * @returns {Array} labelValues
+  */
+  _labelValues (span, labelValues) {
+    return labelValues.concat(this._options.labelTags.map(({ tag, defaultValue, normalize }) => {
+      let value = span.getTag(tag)
+
+      if (value !== undefined && value !== null && normalize) {
+        value = normalize(value, span)
+      }
+
+      return value === undefined || value === null ? defaultValue : String(value)
+    }))
+  }
+
+  /**
+  * Ignore by tag value
+  * @method _isIgnored
+  * @private
+  * @param {Span} span
+  * @returns {Boolean} isIgnored
+  */
+  _isIgnored (span) {
+    return PrometheusReporter.isIgnored(span, this._options.ignoreTags)
   }
 
   /**
@@ -89,9 +626,34 @@ class PrometheusReporter {
   _reportOperationFinish (span) {
     assert(span instanceof Span, 'span is required')
 
-    this._metricsOperationDurationSeconds()
-      .labels(PrometheusReporter.getParentService(span), span.operationName())
-      .observe(span.duration() / 1000)
+    const isError = PrometheusReporter.isError(span)
+    const operationName = this._operationName(span)
+    const operationLabels = [PrometheusReporter.getParentService(span), operationName]
+    const labels = this._labelValues(span, operationLabels)
+    const durationLabels = this._labelValues(span, operationLabels.concat(
+      this._options.referenceTypeLabel ? [span.referenceType() || LABEL_REFERENCE_TYPE_NONE] : [],
+      this._options.errorLabel ? [String(isError)] : []
+    ))
+
+    if (this._options.histogram) {
+      const limitedDurationLabels = this._limitLabels(this._metricsOperationDurationSeconds(), durationLabels)
+      // The overflow series is observed in the default bucket layout only, to expose it once
+      const histogramOperationName = limitedDurationLabels === durationLabels ? operationName : undefined
+
+      this._metricsOperationDurationSeconds(histogramOperationName)
+        .labels(...limitedDurationLabels)
+        .observe(span.duration() / 1000)
+    }
+
+    if (this._options.summary) {
+      this._labels(this._metricsOperationDurationSummarySeconds(), durationLabels)
+        .observe(span.duration() / 1000)
+    }
+
+    if (isError) {
+      this._labels(this._metricsOperationErrorsTotal(), labels)
+        .inc(this._weight(span))
+    }
   }
 
   /**
@@ -103,35 +665,304 @@ class PrometheusReporter {
   _reportHttpRequestFinish (span) {
     assert(span instanceof Span, 'span is required')
 
-    this._metricshttpRequestDurationSeconds()
-      .labels(
-        PrometheusReporter.getParentService(span),
-        span.getTag(Tags.HTTP_METHOD),
-        span.getTag(Tags.HTTP_STATUS_CODE)
-      )
-      .observe(span.duration() / 1000)
+    const labels = this._labelValues(span, [
+      PrometheusReporter.getParentService(span),
+      span.getTag(Tags.HTTP_METHOD),
+      span.getTag(Tags.HTTP_STATUS_CODE)
+    ])
+
+    if (this._options.histogram) {
+      this._labels(this._metricshttpRequestDurationSeconds(), labels)
+        .observe(span.duration() / 1000)
+    }
+
+    if (this._options.summary) {
+      this._labels(this._metricshttpRequestDurationSummarySeconds(), labels)
+        .observe(span.duration() / 1000)
+    }
+  }
+
+  /**
+  * Observe HTTP client request metrics
+  * @method _reportHttpClientRequestFinish
+  * @private
+  * @param {Span} span
+  */
+  _reportHttpClientRequestFinish (span) {
+    assert(span instanceof Span, 'span is required')
+
+    const labels = this._labelValues(span, [
+      span.getTag(Tags.PEER_SERVICE) || LABEL_TAG_UNKNOWN,
+      span.getTag(Tags.PEER_HOSTNAME) || LABEL_TAG_UNKNOWN,
+      span.getTag(Tags.HTTP_METHOD),
+      span.getTag(Tags.HTTP_STATUS_CODE)
+    ])
+
+    if (this._options.histogram) {
+      this._labels(this._metricsHttpClientRequestDurationSeconds(), labels)
+        .observe(span.duration() / 1000)
+    }
+
+    if (this._options.summary) {
+      this._labels(this._metricsHttpClientRequestDurationSummarySeconds(), labels)
+        .observe(span.duration() / 1000)
+    }
+  }
+
+  /**
+  * Observe database and cache client metrics
+  * @method _reportDbClientOperationFinish
+  * @private
+  * @param {Span} span
+  */
+  _reportDbClientOperationFinish (span) {
+    assert(span instanceof Span, 'span is required')
+
+    const labels = this._labelValues(span, [
+      String(span.getTag(Tags.DB_TYPE)),
+      span.getTag(Tags.DB_INSTANCE) || LABEL_TAG_UNKNOWN,
+      PrometheusReporter.getDbStatementVerb(span)
+    ])
+
+    if (this._options.histogram) {
+      this._labels(this._metricsDbClientOperationDurationSeconds(), labels)
+        .observe(span.duration() / 1000)
+    }
+
+    if (this._options.summary) {
+      this._labels(this._metricsDbClientOperationDurationSummarySeconds(), labels)
+        .observe(span.duration() / 1000)
+    }
+
+    if (PrometheusReporter.isError(span)) {
+      this._labels(this._metricsDbClientOperationErrorsTotal(), labels)
+        .inc(this._weight(span))
+    }
+  }
+
+  /**
+  * Observe message bus producer metrics
+  * @method _reportMessageBusPublishFinish
+  * @private
+  * @param {Span} span
+  */
+  _reportMessageBusPublishFinish (span) {
+    assert(span instanceof Span, 'span is required')
+
+    const labels = this._labelValues(span, [span.getTag(Tags.MESSAGE_BUS_DESTINATION) || LABEL_TAG_UNKNOWN])
+
+    if (this._options.histogram) {
+      this._labels(this._metricsMessageBusPublishDurationSeconds(), labels)
+        .observe(span.duration() / 1000)
+    }
+
+    if (this._options.summary) {
+      this._labels(this._metricsMessageBusPublishDurationSummarySeconds(), labels)
+        .observe(span.duration() / 1000)
+    }
+  }
+
+  /**
+  * Observe message bus consumer metrics, the lag is observed only with producer start time
+  * @method _reportMessageBusConsumeFinish
+  * @private
+  * @param {Span} span
+  */
+  _reportMessageBusConsumeFinish (span) {
+    assert(span instanceof Span, 'span is required')
+
+    const labels = this._labelValues(span, [span.getTag(Tags.MESSAGE_BUS_DESTINATION) || LABEL_TAG_UNKNOWN])
+    const lag = PrometheusReporter.getMessageBusLag(span)
+
+    if (this._options.histogram) {
+      this._labels(this._metricsMessageBusConsumeDurationSeconds(), labels)
+        .observe(span.duration() / 1000)
+
+      if (lag !== undefined) {
+        this._labels(this._metricsMessageBusLagSeconds(), labels)
+          .observe(lag / 1000)
+      }
+    }
+
+    if (this._options.summary) {
+      this._labels(this._metricsMessageBusConsumeDurationSummarySeconds(), labels)
+        .observe(span.duration() / 1000)
+
+      if (lag !== undefined) {
+        this._labels(this._metricsMessageBusLagSummarySeconds(), labels)
+          .observe(lag / 1000)
+      }
+    }
   }
 
   /**
   * Singleton to get operation duration metrics
   * @method _metricsOperationDurationSeconds
   * @private
+  * @param {String} [operationName] - selects the histogram of the operation's bucket layout
   * @return {Prometheus.Histogram} operationDurationSeconds
   */
-  _metricsOperationDurationSeconds () {
-    let operationDurationSeconds = this._registry.getSingleMetric(METRICS_NAME_OPERATION_DURATION_SECONDS)
+  _metricsOperationDurationSeconds (operationName) {
+    const name = this._metricName(METRICS_NAME_OPERATION_DURATION_SECONDS)
+    let operationDurationSeconds = this._registry.getSingleMetric(name)
 
     if (!operationDurationSeconds) {
-      operationDurationSeconds = new Prometheus.Histogram({
-        name: METRICS_NAME_OPERATION_DURATION_SECONDS,
+      const labelNames = ['parent_service', 'name'].concat(
+        this._options.referenceTypeLabel ? ['reference_type'] : [],
+        this._options.errorLabel ? ['error'] : []
+      )
+
+      operationDurationSeconds = new OperationHistogram({
+        name,
+        help: 'Duration of operations in second',
+        labelNames: this._labelNames(labelNames),
+        buckets: this._options.buckets,
+        operationBuckets: this._options.operationBuckets,
+        registers: [this._registry]
+      })
+    }
+
+    return operationDurationSeconds.histogram(operationName)
+  }
+
+  /**
+  * Singleton to get operation duration summary metrics
+  * @method _metricsOperationDurationSummarySeconds
+  * @private
+  * @return {Prometheus.Summary} operationDurationSummarySeconds
+  */
+  _metricsOperationDurationSummarySeconds () {
+    const name = this._metricName(METRICS_NAME_OPERATION_DURATION_SUMMARY_SECONDS)
+    let operationDurationSummarySeconds = this._registry.getSingleMetric(name)
+
+    if (!operationDurationSummarySeconds) {
+      const labelNames = ['parent_service', 'name'].concat(
+        this._options.referenceTypeLabel ? ['reference_type'] : [],
+        this._options.errorLabel ? ['error'] : []
+      )
+
+      operationDurationSummarySeconds = new Prometheus.Summary({
+        name,
         help: 'Duration of operations in second',
-        labelNames: ['parent_service', 'name'],
-        buckets: DURATION_HISTOGRAM_BUCKETS,
+        labelNames: this._labelNames(labelNames),
+        percentiles: this._options.percentiles,
+        maxAgeSeconds: this._options.maxAgeSeconds,
+        ageBuckets: this._options.ageBuckets,
+        registers: [this._registry]
+      })
+    }
+
+    return operationDurationSummarySeconds
+  }
+
+  /**
+  * Singleton to get operation errors metrics
+  * @method _metricsOperationErrorsTotal
+  * @private
+  * @return {Prometheus.Counter} operationErrorsTotal
+  */
+  _metricsOperationErrorsTotal () {
+    const name = this._metricName(METRICS_NAME_OPERATION_ERRORS_TOTAL)
+    let operationErrorsTotal = this._registry.getSingleMetric(name)
+
+    if (!operationErrorsTotal) {
+      operationErrorsTotal = new Prometheus.Counter({
+        name,
+        help: 'Number of failed operations',
+        labelNames: this._labelNames(['parent_service', 'name']),
         registers: [this._registry]
       })
     }
 
-    return operationDurationSeconds
+    return operationErrorsTotal
+  }
+
+  /**
+  * Singleton to get started operations metrics
+  * @method _metricsOperationsStartedTotal
+  * @private
+  * @return {Prometheus.Counter} operationsStartedTotal
+  */
+  _metricsOperationsStartedTotal () {
+    const name = this._metricName(METRICS_NAME_OPERATIONS_STARTED_TOTAL)
+    let operationsStartedTotal = this._registry.getSingleMetric(name)
+
+    if (!operationsStartedTotal) {
+      operationsStartedTotal = new Prometheus.Counter({
+        name,
+        help: 'Number of started operations',
+        labelNames: this._labelNames(['parent_service', 'name']),
+        registers: [this._registry]
+      })
+    }
+
+    return operationsStartedTotal
+  }
+
+  /**
+  * Singleton to get finished operations metrics
+  * @method _metricsOperationsFinishedTotal
+  * @private
+  * @return {Prometheus.Counter} operationsFinishedTotal
+  */
+  _metricsOperationsFinishedTotal () {
+    const name = this._metricName(METRICS_NAME_OPERATIONS_FINISHED_TOTAL)
+    let operationsFinishedTotal = this._registry.getSingleMetric(name)
+
+    if (!operationsFinishedTotal) {
+      operationsFinishedTotal = new Prometheus.Counter({
+        name,
+        help: 'Number of finished operations',
+        labelNames: this._labelNames(['parent_service', 'name']),
+        registers: [this._registry]
+      })
+    }
+
+    return operationsFinishedTotal
+  }
+
+  /**
+  * Singleton to get in flight operations metrics
+  * @method _metricsOperationsInFlight
+  * @private
+  * @return {Prometheus.Gauge} operationsInFlight
+  */
+  _metricsOperationsInFlight () {
+    const name = this._metricName(METRICS_NAME_OPERATIONS_IN_FLIGHT)
+    let operationsInFlight = this._registry.getSingleMetric(name)
+
+    if (!operationsInFlight) {
+      operationsInFlight = new Prometheus.Gauge({
+        name,
+        help: 'Number of started but not finished operations',
+        labelNames: this._labelNames(['parent_service', 'name']),
+        registers: [this._registry]
+      })
+    }
+
+    return operationsInFlight
+  }
+
+  /**
+  * Singleton to get stuck operations metrics
+  * @method _metricsOperationsStuckTotal
+  * @private
+  * @return {Prometheus.Counter} operationsStuckTotal
+  */
+  _metricsOperationsStuckTotal () {
+    const name = this._metricName(METRICS_NAME_OPERATIONS_STUCK_TOTAL)
+    let operationsStuckTotal = this._registry.getSingleMetric(name)
+
+    if (!operationsStuckTotal) {
+      operationsStuckTotal = new Prometheus.Counter({
+        name,
+        help: 'Number of operations open longer than the stuck span threshold',
+        labelNames: this._labelNames(['parent_service', 'name']),
+        registers: [this._registry]
+      })
+    }
+
+    return operationsStuckTotal
   }
 
   /**
@@ -141,23 +972,342 @@ class PrometheusReporter {
   * @return {Prometheus.Histogram} httpRequestDurationSeconds
   */
   _metricshttpRequestDurationSeconds () {
-    let httpRequestDurationSeconds = this._registry.getSingleMetric(METRICS_NAME_HTTP_REQUEST_HANDLER_DURATION_SECONDS)
+    const name = this._metricName(METRICS_NAME_HTTP_REQUEST_HANDLER_DURATION_SECONDS)
+    let httpRequestDurationSeconds = this._registry.getSingleMetric(name)
 
     if (!httpRequestDurationSeconds) {
       httpRequestDurationSeconds = new Prometheus.Histogram({
-        name: METRICS_NAME_HTTP_REQUEST_HANDLER_DURATION_SECONDS,
+        name,
         help: 'Duration of HTTP requests in second',
-        labelNames: ['parent_service', 'method', 'code'],
-        buckets: DURATION_HISTOGRAM_BUCKETS,
+        labelNames: this._labelNames(['parent_service', 'method', 'code']),
+        buckets: this._options.buckets,
         registers: [this._registry]
       })
     }
 
     return httpRequestDurationSeconds
   }
+
+  /**
+  * Singleton to get HTTP request duration summary metrics
+  * @method _metricshttpRequestDurationSummarySeconds
+  * @private
+  * @return {Prometheus.Summary} httpRequestDurationSummarySeconds
+  */
+  _metricshttpRequestDurationSummarySeconds () {
+    const name = this._metricName(METRICS_NAME_HTTP_REQUEST_HANDLER_DURATION_SUMMARY_SECONDS)
+    let httpRequestDurationSummarySeconds = this._registry.getSingleMetric(name)
+
+    if (!httpRequestDurationSummarySeconds) {
+      httpRequestDurationSummarySeconds = new Prometheus.Summary({
+        name,
+        help: 'Duration of HTTP requests in second',
+        labelNames: this._labelNames(['parent_service', 'method', 'code']),
+        percentiles: this._options.percentiles,
+        maxAgeSeconds: this._options.maxAgeSeconds,
+        ageBuckets: this._options.ageBuckets,
+        registers: [this._registry]
+      })
+    }
+
+    return httpRequestDurationSummarySeconds
+  }
+
+  /**
+  * Singleton to get HTTP client request duration metrics
+  * @method _metricsHttpClientRequestDurationSeconds
+  * @private
+  * @return {Prometheus.Histogram} httpClientRequestDurationSeconds
+  */
+  _metricsHttpClientRequestDurationSeconds () {
+    const name = this._metricName(METRICS_NAME_HTTP_CLIENT_REQUEST_DURATION_SECONDS)
+    let httpClientRequestDurationSeconds = this._registry.getSingleMetric(name)
+
+    if (!httpClientRequestDurationSeconds) {
+      httpClientRequestDurationSeconds = new Prometheus.Histogram({
+        name,
+        help: 'Duration of HTTP client requests in second',
+        labelNames: this._labelNames(['peer_service', 'peer_hostname', 'method', 'code']),
+        buckets: this._options.buckets,
+        registers: [this._registry]
+      })
+    }
+
+    return httpClientRequestDurationSeconds
+  }
+
+  /**
+  * Singleton to get HTTP client request duration summary metrics
+  * @method _metricsHttpClientRequestDurationSummarySeconds
+  * @private
+  * @return {Prometheus.Summary} httpClientRequestDurationSummarySeconds
+  */
+  _metricsHttpClientRequestDurationSummarySeconds () {
+    const name = this._metricName(METRICS_NAME_HTTP_CLIENT_REQUEST_DURATION_SUMMARY_SECONDS)
+    let httpClientRequestDurationSummarySeconds = this._registry.getSingleMetric(name)
+
+    if (!httpClientRequestDurationSummarySeconds) {
+      httpClientRequestDurationSummarySeconds = new Prometheus.Summary({
+        name,
+        help: 'Duration of HTTP client requests in second',
+        labelNames: this._labelNames(['peer_service', 'peer_hostname', 'method', 'code']),
+        percentiles: this._options.percentiles,
+        maxAgeSeconds: this._options.maxAgeSeconds,
+        ageBuckets: this._options.ageBuckets,
+        registers: [this._registry]
+      })
+    }
+
+    return httpClientRequestDurationSummarySeconds
+  }
+
+  /**
+  * Singleton to get database and cache client operation duration metrics
+  * @method _metricsDbClientOperationDurationSeconds
+  * @private
+  * @return {Prometheus.Histogram} dbClientOperationDurationSeconds
+  */
+  _metricsDbClientOperationDurationSeconds () {
+    const name = this._metricName(METRICS_NAME_DB_CLIENT_OPERATION_DURATION_SECONDS)
+    let dbClientOperationDurationSeconds = this._registry.getSingleMetric(name)
+
+    if (!dbClientOperationDurationSeconds) {
+      dbClientOperationDurationSeconds = new Prometheus.Histogram({
+        name,
+        help: 'Duration of database and cache client operations in second',
+        labelNames: this._labelNames(['db_type', 'db_instance', 'command']),
+        buckets: this._options.buckets,
+        registers: [this._registry]
+      })
+    }
+
+    return dbClientOperationDurationSeconds
+  }
+
+  /**
+  * Singleton to get database and cache client operation duration summary metrics
+  * @method _metricsDbClientOperationDurationSummarySeconds
+  * @private
+  * @return {Prometheus.Summary} dbClientOperationDurationSummarySeconds
+  */
+  _metricsDbClientOperationDurationSummarySeconds () {
+    const name = this._metricName(METRICS_NAME_DB_CLIENT_OPERATION_DURATION_SUMMARY_SECONDS)
+    let dbClientOperationDurationSummarySeconds = this._registry.getSingleMetric(name)
+
+    if (!dbClientOperationDurationSummarySeconds) {
+      dbClientOperationDurationSummarySeconds = new Prometheus.Summary({
+        name,
+        help: 'Duration of database and cache client operations in second',
+        labelNames: this._labelNames(['db_type', 'db_instance', 'command']),
+        percentiles: this._options.percentiles,
+        maxAgeSeconds: this._options.maxAgeSeconds,
+        ageBuckets: this._options.ageBuckets,
+        registers: [this._registry]
+      })
+    }
+
+    return dbClientOperationDurationSummarySeconds
+  }
+
+  /**
+  * Singleton to get database and cache client operation errors metrics
+  * @method _metricsDbClientOperationErrorsTotal
+  * @private
+  * @return {Prometheus.Counter} dbClientOperationErrorsTotal
+  */
+  _metricsDbClientOperationErrorsTotal () {
+    const name = this._metricName(METRICS_NAME_DB_CLIENT_OPERATION_ERRORS_TOTAL)
+    let dbClientOperationErrorsTotal = this._registry.getSingleMetric(name)
+
+    if (!dbClientOperationErrorsTotal) {
+      dbClientOperationErrorsTotal = new Prometheus.Counter({
+        name,
+        help: 'Number of failed database and cache client operations',
+        labelNames: this._labelNames(['db_type', 'db_instance', 'command']),
+        registers: [this._registry]
+      })
+    }
+
+    return dbClientOperationErrorsTotal
+  }
+
+  /**
+  * Singleton to get message bus publish duration metrics
+  * @method _metricsMessageBusPublishDurationSeconds
+  * @private
+  * @return {Prometheus.Histogram} messageBusPublishDurationSeconds
+  */
+  _metricsMessageBusPublishDurationSeconds () {
+    const name = this._metricName(METRICS_NAME_MESSAGE_BUS_PUBLISH_DURATION_SECONDS)
+    let messageBusPublishDurationSeconds = this._registry.getSingleMetric(name)
+
+    if (!messageBusPublishDurationSeconds) {
+      messageBusPublishDurationSeconds = new Prometheus.Histogram({
+        name,
+        help: 'Duration of publishing messages in second',
+        labelNames: this._labelNames(['destination']),
+        buckets: this._options.buckets,
+        registers: [this._registry]
+      })
+    }
+
+    return messageBusPublishDurationSeconds
+  }
+
+  /**
+  * Singleton to get message bus publish duration summary metrics
+  * @method _metricsMessageBusPublishDurationSummarySeconds
+  * @private
+  * @return {Prometheus.Summary} messageBusPublishDurationSummarySeconds
+  */
+  _metricsMessageBusPublishDurationSummarySeconds () {
+    const name = this._metricName(METRICS_NAME_MESSAGE_BUS_PUBLISH_DURATION_SUMMARY_SECONDS)
+    let messageBusPublishDurationSummarySeconds = this._registry.getSingleMetric(name)
+
+    if (!messageBusPublishDurationSummarySeconds) {
+      messageBusPublishDurationSummarySeconds = new Prometheus.Summary({
+        name,
+        help: 'Duration of publishing messages in second',
+        labelNames: this._labelNames(['destination']),
+        percentiles: this._options.percentiles,
+        maxAgeSeconds: this._options.maxAgeSeconds,
+        ageBuckets: this._options.ageBuckets,
+        registers: [this._registry]
+      })
+    }
+
+    return messageBusPublishDurationSummarySeconds
+  }
+
+  /**
+  * Singleton to get message bus consume duration metrics
+  * @method _metricsMessageBusConsumeDurationSeconds
+  * @private
+  * @return {Prometheus.Histogram} messageBusConsumeDurationSeconds
+  */
+  _metricsMessageBusConsumeDurationSeconds () {
+    const name = this._metricName(METRICS_NAME_MESSAGE_BUS_CONSUME_DURATION_SECONDS)
+    let messageBusConsumeDurationSeconds = this._registry.getSingleMetric(name)
+
+    if (!messageBusConsumeDurationSeconds) {
+      messageBusConsumeDurationSeconds = new Prometheus.Histogram({
+        name,
+        help: 'Duration of consuming messages in second',
+        labelNames: this._labelNames(['destination']),
+        buckets: this._options.buckets,
+        registers: [this._registry]
+      })
+    }
+
+    return messageBusConsumeDurationSeconds
+  }
+
+  /**
+  * Singleton to get message bus consume duration summary metrics
+  * @method _metricsMessageBusConsumeDurationSummarySeconds
+  * @private
+  * @return {Prometheus.Summary} messageBusConsumeDurationSummarySeconds
+  */
+  _metricsMessageBusConsumeDurationSummarySeconds () {
+    const name = this._metricName(METRICS_NAME_MESSAGE_BUS_CONSUME_DURATION_SUMMARY_SECONDS)
+    let messageBusConsumeDurationSummarySeconds = this._registry.getSingleMetric(name)
+
+    if (!messageBusConsumeDurationSummarySeconds) {
+      messageBusConsumeDurationSummarySeconds = new Prometheus.Summary({
+        name,
+        help: 'Duration of consuming messages in second',
+        labelNames: this._labelNames(['destination']),
+        percentiles: this._options.percentiles,
+        maxAgeSeconds: this._options.maxAgeSeconds,
+        ageBuckets: this._options.ageBuckets,
+        registers: [this._registry]
+      })
+    }
+
+    return messageBusConsumeDurationSummarySeconds
+  }
+
+  /**
+  * Singleton to get message bus lag metrics
+  * @method _metricsMessageBusLagSeconds
+  * @private
+  * @return {Prometheus.Histogram} messageBusLagSeconds
+  */
+  _metricsMessageBusLagSeconds () {
+    const name = this._metricName(METRICS_NAME_MESSAGE_BUS_LAG_SECONDS)
+    let messageBusLagSeconds = this._registry.getSingleMetric(name)
+
+    if (!messageBusLagSeconds) {
+      messageBusLagSeconds = new Prometheus.Histogram({
+        name,
+        help: 'Time from the start of publishing to the end of consuming messages in second',
+        labelNames: this._labelNames(['destination']),
+        buckets: this._options.buckets,
+        registers: [this._registry]
+      })
+    }
+
+    return messageBusLagSeconds
+  }
+
+  /**
+  * Singleton to get message bus lag summary metrics
+  * @method _metricsMessageBusLagSummarySeconds
+  * @private
+  * @return {Prometheus.Summary} messageBusLagSummarySeconds
+  */
+  _metricsMessageBusLagSummarySeconds () {
+    const name = this._metricName(METRICS_NAME_MESSAGE_BUS_LAG_SUMMARY_SECONDS)
+    let messageBusLagSummarySeconds = this._registry.getSingleMetric(name)
+
+    if (!messageBusLagSummarySeconds) {
+      messageBusLagSummarySeconds = new Prometheus.Summary({
+        name,
+        help: 'Time from the start of publishing to the end of consuming messages in second',
+        labelNames: this._labelNames(['destination']),
+        percentiles: this._options.percentiles,
+        maxAgeSeconds: this._options.maxAgeSeconds,
+        ageBuckets: this._options.ageBuckets,
+        registers: [this._registry]
+      })
+    }
+
+    return messageBusLagSummarySeconds
+  }
+
+  /**
+  * Singleton to get dropped series metrics
+  * @method _metricsSeriesDroppedTotal
+  * @private
+  * @return {Prometheus.Counter} seriesDroppedTotal
+  */
+  _metricsSeriesDroppedTotal () {
+    const name = this._metricName(METRICS_NAME_SERIES_DROPPED_TOTAL)
+    let seriesDroppedTotal = this._registry.getSingleMetric(name)
+
+    if (!seriesDroppedTotal) {
+      seriesDroppedTotal = new Prometheus.Counter({
+        name,
+        help: 'Number of observations moved to the overflow series',
+        labelNames: ['metric'],
+        registers: [this._registry]
+      })
+    }
+
+    return seriesDroppedTotal
+  }
 }
 
 PrometheusReporter.Prometheus = Prometheus
+PrometheusReporter.LABEL_OVERFLOW = LABEL_OVERFLOW
+PrometheusReporter.LABEL_REFERENCE_TYPE_NONE = LABEL_REFERENCE_TYPE_NONE
+PrometheusReporter.OPERATION_NAME_NORMALIZER_UUID = OPERATION_NAME_NORMALIZER_UUID
+PrometheusReporter.OPERATION_NAME_NORMALIZER_NUMERIC_ID = OPERATION_NAME_NORMALIZER_NUMERIC_ID
 PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN = LABEL_PARENT_SERVICE_UNKNOWN
+PrometheusReporter.LABEL_TAG_UNKNOWN = LABEL_TAG_UNKNOWN
+PrometheusReporter.LABEL_DB_STATEMENT_VERB_OTHER = LABEL_DB_STATEMENT_VERB_OTHER
+PrometheusReporter.DB_STATEMENT_VERBS = DB_STATEMENT_VERBS
+PrometheusReporter.DURATION_METRIC_HISTOGRAM = DURATION_METRIC_HISTOGRAM
+PrometheusReporter.DURATION_METRIC_SUMMARY = DURATION_METRIC_SUMMARY
 
 module.exports = PrometheusReporter
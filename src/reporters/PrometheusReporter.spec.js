@@ -3,8 +3,8 @@
 const sinon = require('sinon')
 const { expect } = require('chai')
 const dedent = require('dedent')
-const { Tags } = require('opentracing')
-const { Tracer } = require('../tracer')
+const { Tags, followsFrom } = require('opentracing')
+const { Tracer, SpanContext } = require('../tracer')
 const PrometheusReporter = require('./PrometheusReporter')
 
 describe('reporter/PrometheusReporter', () => {
@@ -24,6 +24,141 @@ describe('reporter/PrometheusReporter', () => {
 
       expect(prometheusReporter).to.have.property('_registry')
     })
+
+    it('should validate prefix', () => {
+      expect(() => new PrometheusReporter({ prefix: 'my-app_' })).to.throw('Invalid prefix')
+      expect(() => new PrometheusReporter({ prefix: 'my_app_' })).to.not.throw()
+    })
+
+    it('should validate buckets', () => {
+      expect(() => new PrometheusReporter({ buckets: [] })).to.throw('buckets must be a non-empty Array')
+      expect(() => new PrometheusReporter({ buckets: [0.1, 'a'] })).to.throw('buckets must be finite numbers')
+      expect(() => new PrometheusReporter({ buckets: [1, 0.1] })).to.throw('buckets must be in increasing order')
+      expect(() => new PrometheusReporter({ buckets: [0.1, 0.1] })).to.throw('buckets must be in increasing order')
+    })
+
+    it('should validate operationBuckets', () => {
+      expect(() => new PrometheusReporter({ operationBuckets: {} })).to.throw('operationBuckets must be an Array')
+      expect(() => new PrometheusReporter({ operationBuckets: [{ buckets: [1] }] }))
+        .to.throw('operationBuckets pattern is required')
+      expect(() => new PrometheusReporter({ operationBuckets: [{ pattern: /^batch/, buckets: [] }] }))
+        .to.throw('buckets must be a non-empty Array')
+    })
+
+    it('should validate summary options', () => {
+      expect(() => new PrometheusReporter({ durationMetrics: 'gauge' })).to.throw('Invalid durationMetrics')
+      expect(() => new PrometheusReporter({ durationMetrics: [] })).to.throw('Invalid durationMetrics')
+      expect(() => new PrometheusReporter({ percentiles: [0.5, 2] })).to.throw('percentiles must be between 0 and 1')
+      expect(() => new PrometheusReporter({ maxAgeSeconds: 0 })).to.throw('maxAgeSeconds must be a positive number')
+      expect(() => new PrometheusReporter({ ageBuckets: 5 }))
+        .to.throw('ageBuckets must be a positive integer with maxAgeSeconds')
+      expect(() => new PrometheusReporter({ maxAgeSeconds: 600, ageBuckets: 1.5 }))
+        .to.throw('ageBuckets must be a positive integer with maxAgeSeconds')
+      expect(() => new PrometheusReporter({ durationMetrics: ['histogram', 'summary'], maxAgeSeconds: 600 }))
+        .to.not.throw()
+    })
+
+    it('should validate labelTags', () => {
+      expect(() => new PrometheusReporter({ labelTags: [] })).to.throw('labelTags must be an Object')
+      expect(() => new PrometheusReporter({ labelTags: { tenant: 'tenant-id' } }))
+        .to.throw('Invalid label for tag tenant')
+      expect(() => new PrometheusReporter({ labelTags: { tenant: {} } })).to.throw('Invalid label for tag tenant')
+      expect(() => new PrometheusReporter({ labelTags: { tenant: '__tenant' } }))
+        .to.throw('Invalid label for tag tenant')
+      expect(() => new PrometheusReporter({ labelTags: { tenant: 'name' } })).to.throw('Reserved label name')
+      expect(() => new PrometheusReporter({ labelTags: { tenant: { label: 'tenant', defaultValue: 1 } } }))
+        .to.throw('defaultValue of tag tenant must be a String')
+      expect(() => new PrometheusReporter({ labelTags: { tenant: { label: 'tenant', normalize: 'lower' } } }))
+        .to.throw('normalize of tag tenant must be a Function')
+      expect(() => new PrometheusReporter({ labelTags: { tenant: 'tenant', 'tenant.id': 'tenant' } }))
+        .to.throw('Duplicated label tenant')
+    })
+
+    it('should validate cardinality options', () => {
+      expect(() => new PrometheusReporter({ maxLabelCombinations: 0 }))
+        .to.throw('maxLabelCombinations must be a positive integer')
+      expect(() => new PrometheusReporter({ operationNameNormalizers: {} }))
+        .to.throw('operationNameNormalizers must be an Array')
+      expect(() => new PrometheusReporter({ operationNameNormalizers: [{ pattern: '\\d+', replacement: ':id' }] }))
+        .to.throw('Invalid operation name normalizer')
+      expect(() => new PrometheusReporter({
+        maxLabelCombinations: 100,
+        operationNameNormalizers: [PrometheusReporter.OPERATION_NAME_NORMALIZER_UUID, (name) => name]
+      })).to.not.throw()
+    })
+  })
+
+  describe('#reportStart', () => {
+    it('should count started operations', function () {
+      // init
+      const prometheusReporter = new PrometheusReporter()
+      const metricsOperationsStartedTotal = prometheusReporter._metricsOperationsStartedTotal()
+
+      const metricsStub = {
+        inc: this.sandbox.spy()
+      }
+
+      this.sandbox.stub(metricsOperationsStartedTotal, 'labels').callsFake(() => metricsStub)
+
+      // generate data
+      const parentTracer = new Tracer('parent-service')
+      const tracer = new Tracer('service', [prometheusReporter])
+
+      const parentSpan = parentTracer.startSpan('parent-operation')
+      tracer.startSpan('my-operation', { childOf: parentSpan })
+
+      // assert
+      expect(metricsOperationsStartedTotal.labels).to.have.callCount(1)
+      expect(metricsOperationsStartedTotal.labels).to.be.calledWith('parent-service', 'my-operation')
+      expect(metricsStub.inc).to.have.callCount(1)
+    })
+
+    it('should skip started operations by tag value', function () {
+      // init
+      const prometheusReporter = new PrometheusReporter({
+        ignoreTags: {
+          [Tags.HTTP_URL]: /foo/
+        }
+      })
+      const metricsOperationsStartedTotal = prometheusReporter._metricsOperationsStartedTotal()
+
+      this.sandbox.spy(metricsOperationsStartedTotal, 'labels')
+
+      // generate data
+      const tracer = new Tracer('service', [prometheusReporter])
+
+      tracer.startSpan('my-operation', {
+        tags: { [Tags.HTTP_URL]: 'http://127.0.0.1/foo' }
+      })
+
+      // assert
+      expect(metricsOperationsStartedTotal.labels).to.have.callCount(0)
+    })
+  })
+
+  describe('#reportStuck', () => {
+    it('should count stuck operations', function () {
+      // init
+      const prometheusReporter = new PrometheusReporter()
+      const metricsOperationsStuckTotal = prometheusReporter._metricsOperationsStuckTotal()
+
+      const metricsStub = {
+        inc: this.sandbox.spy()
+      }
+
+      this.sandbox.stub(metricsOperationsStuckTotal, 'labels').callsFake(() => metricsStub)
+
+      // generate data
+      const tracer = new Tracer('service')
+      const span = tracer.startSpan('my-operation')
+
+      prometheusReporter.reportStuck(span)
+
+      // assert
+      expect(metricsOperationsStuckTotal.labels)
+        .to.be.calledWith(PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN, 'my-operation')
+      expect(metricsStub.inc).to.have.callCount(1)
+    })
   })
 
   describe('#reportFinish', () => {
@@ -122,6 +257,406 @@ describe('reporter/PrometheusReporter', () => {
       expect(metricsStub.observe).to.be.calledWith(0.3)
     })
 
+    it('should count operation errors', function () {
+      // init
+      const prometheusReporter = new PrometheusReporter()
+      const metricsOperationErrorsTotal = prometheusReporter._metricsOperationErrorsTotal()
+
+      const metricsStub = {
+        inc: this.sandbox.spy()
+      }
+
+      this.sandbox.stub(metricsOperationErrorsTotal, 'labels').callsFake(() => metricsStub)
+
+      // generate data
+      const tracer = new Tracer('service')
+
+      const span1 = tracer.startSpan('my-operation')
+      span1.setTag(Tags.ERROR, true)
+      span1.finish()
+
+      const span2 = tracer.startSpan('my-operation')
+      span2.finish()
+
+      prometheusReporter.reportFinish(span1)
+      prometheusReporter.reportFinish(span2)
+
+      // assert
+      expect(metricsOperationErrorsTotal.labels).to.have.callCount(1)
+      expect(metricsOperationErrorsTotal.labels)
+        .to.be.calledWith(PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN, 'my-operation')
+
+      expect(metricsStub.inc).to.have.callCount(1)
+    })
+
+    it('should observe operation metrics with error label', function () {
+      // init
+      const prometheusReporter = new PrometheusReporter({
+        errorLabel: true
+      })
+      const metricsOperationDurationSeconds = prometheusReporter._metricsOperationDurationSeconds()
+
+      const metricsStub = {
+        observe: this.sandbox.spy()
+      }
+
+      this.sandbox.stub(metricsOperationDurationSeconds, 'labels').callsFake(() => metricsStub)
+
+      // generate data
+      const tracer = new Tracer('service')
+
+      const span1 = tracer.startSpan('my-operation')
+      span1.setTag(Tags.ERROR, true)
+      span1.finish()
+
+      const span2 = tracer.startSpan('my-operation')
+      span2.finish()
+
+      prometheusReporter.reportFinish(span1)
+      prometheusReporter.reportFinish(span2)
+
+      // assert
+      expect(metricsOperationDurationSeconds.labels)
+        .to.be.calledWith(PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN, 'my-operation', 'true')
+      expect(metricsOperationDurationSeconds.labels)
+        .to.be.calledWith(PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN, 'my-operation', 'false')
+    })
+
+    it('should observe operation metrics with reference type label', function () {
+      // init
+      const prometheusReporter = new PrometheusReporter({
+        referenceTypeLabel: true,
+        errorLabel: true
+      })
+      const metricsOperationDurationSeconds = prometheusReporter._metricsOperationDurationSeconds()
+
+      const metricsStub = {
+        observe: this.sandbox.spy()
+      }
+
+      this.sandbox.stub(metricsOperationDurationSeconds, 'labels').callsFake(() => metricsStub)
+
+      // generate data
+      const tracer = new Tracer('service')
+
+      const span1 = tracer.startSpan('my-operation')
+      span1.finish()
+
+      const span2 = tracer.startSpan('my-operation', {
+        childOf: span1
+      })
+      span2.finish()
+
+      const span3 = tracer.startSpan('my-operation', {
+        references: [followsFrom(span1.context())]
+      })
+      span3.finish()
+
+      prometheusReporter.reportFinish(span1)
+      prometheusReporter.reportFinish(span2)
+      prometheusReporter.reportFinish(span3)
+
+      // assert
+      expect(metricsOperationDurationSeconds.labelNames)
+        .to.be.eql(['parent_service', 'name', 'reference_type', 'error'])
+      expect(metricsOperationDurationSeconds.labels).to.be.calledWith(PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN,
+        'my-operation', PrometheusReporter.LABEL_REFERENCE_TYPE_NONE, 'false')
+      expect(metricsOperationDurationSeconds.labels)
+        .to.be.calledWith('service', 'my-operation', 'child_of', 'false')
+      expect(metricsOperationDurationSeconds.labels)
+        .to.be.calledWith('service', 'my-operation', 'follows_from', 'false')
+    })
+
+    it('should observe operation metrics with tag labels', function () {
+      // init
+      const prometheusReporter = new PrometheusReporter({
+        errorLabel: true,
+        labelTags: {
+          [Tags.COMPONENT]: 'component',
+          tenant: {
+            label: 'tenant',
+            defaultValue: 'none',
+            normalize: (value) => value.toLowerCase()
+          }
+        }
+      })
+      const metricsOperationDurationSeconds = prometheusReporter._metricsOperationDurationSeconds()
+      const metricsOperationsFinishedTotal = prometheusReporter._metricsOperationsFinishedTotal()
+
+      const metricsStub = {
+        observe: this.sandbox.spy(),
+        inc: this.sandbox.spy()
+      }
+
+      this.sandbox.stub(metricsOperationDurationSeconds, 'labels').callsFake(() => metricsStub)
+      this.sandbox.stub(metricsOperationsFinishedTotal, 'labels').callsFake(() => metricsStub)
+
+      // generate data
+      const tracer = new Tracer('service')
+
+      const span1 = tracer.startSpan('my-operation')
+      span1.setTag(Tags.COMPONENT, 'pg')
+      span1.setTag('tenant', 'ACME')
+      span1.finish()
+
+      const span2 = tracer.startSpan('my-operation')
+      span2.finish()
+
+      prometheusReporter.reportFinish(span1)
+      prometheusReporter.reportFinish(span2)
+
+      // assert
+      expect(metricsOperationDurationSeconds.labelNames)
+        .to.be.eql(['parent_service', 'name', 'error', 'component', 'tenant'])
+      expect(metricsOperationDurationSeconds.labels)
+        .to.be.calledWith(PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN, 'my-operation', 'false', 'pg', 'acme')
+      expect(metricsOperationDurationSeconds.labels)
+        .to.be.calledWith(PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN, 'my-operation', 'false',
+          PrometheusReporter.LABEL_TAG_UNKNOWN, 'none')
+      expect(metricsOperationsFinishedTotal.labels)
+        .to.be.calledWith(PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN, 'my-operation', 'pg', 'acme')
+    })
+
+    it('should normalize operation names', function () {
+      // init
+      const prometheusReporter = new PrometheusReporter({
+        operationNameNormalizers: [
+          PrometheusReporter.OPERATION_NAME_NORMALIZER_UUID,
+          PrometheusReporter.OPERATION_NAME_NORMALIZER_NUMERIC_ID,
+          (operationName) => operationName.toLowerCase()
+        ]
+      })
+      const metricsOperationsFinishedTotal = prometheusReporter._metricsOperationsFinishedTotal()
+
+      const metricsStub = {
+        inc: this.sandbox.spy()
+      }
+
+      this.sandbox.stub(metricsOperationsFinishedTotal, 'labels').callsFake(() => metricsStub)
+
+      // generate data
+      const tracer = new Tracer('service')
+
+      const span1 = tracer.startSpan('GET /users/42/orders/e4eaaaf2-d142-11e1-b3e4-080027620cdd')
+      span1.finish()
+
+      const span2 = tracer.startSpan('GET /v2/users/43')
+      span2.finish()
+
+      prometheusReporter.reportFinish(span1)
+      prometheusReporter.reportFinish(span2)
+
+      // assert
+      expect(metricsOperationsFinishedTotal.labels)
+        .to.be.calledWith(PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN, 'get /users/:id/orders/:uuid')
+      expect(metricsOperationsFinishedTotal.labels)
+        .to.be.calledWith(PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN, 'get /v2/users/:id')
+    })
+
+    it('should cap label combinations per metric', function () {
+      // init
+      const prometheusReporter = new PrometheusReporter({
+        maxLabelCombinations: 2
+      })
+      const metricsOperationsFinishedTotal = prometheusReporter._metricsOperationsFinishedTotal()
+      const metricsSeriesDroppedTotal = prometheusReporter._metricsSeriesDroppedTotal()
+
+      const metricsStub = {
+        inc: this.sandbox.spy()
+      }
+
+      this.sandbox.stub(metricsOperationsFinishedTotal, 'labels').callsFake(() => metricsStub)
+      this.sandbox.stub(metricsSeriesDroppedTotal, 'labels').callsFake(() => metricsStub)
+
+      // generate data
+      const tracer = new Tracer('service')
+
+      const spans = ['op-1', 'op-2', 'op-3', 'op-1'].map((operationName) => {
+        const span = tracer.startSpan(operationName)
+        span.finish()
+        return span
+      })
+
+      spans.forEach((span) => prometheusReporter.reportFinish(span))
+
+      // assert
+      expect(metricsOperationsFinishedTotal.labels.args).to.be.eql([
+        [PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN, 'op-1'],
+        [PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN, 'op-2'],
+        [PrometheusReporter.LABEL_OVERFLOW, PrometheusReporter.LABEL_OVERFLOW],
+        [PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN, 'op-1']
+      ])
+      expect(metricsSeriesDroppedTotal.labels).to.be.calledWith('operations_finished_total')
+    })
+
+    it('should observe database client metrics', function () {
+      // init
+      const prometheusReporter = new PrometheusReporter()
+      const dbClientOperationDurationSeconds = prometheusReporter._metricsDbClientOperationDurationSeconds()
+      const dbClientOperationErrorsTotal = prometheusReporter._metricsDbClientOperationErrorsTotal()
+
+      const metricsStub = {
+        observe: this.sandbox.spy(),
+        inc: this.sandbox.spy()
+      }
+
+      this.sandbox.stub(dbClientOperationDurationSeconds, 'labels').callsFake(() => metricsStub)
+      this.sandbox.stub(dbClientOperationErrorsTotal, 'labels').callsFake(() => metricsStub)
+
+      // generate data
+      const tracer = new Tracer('service')
+
+      const span1 = tracer.startSpan('pg_query', {
+        tags: {
+          [Tags.DB_TYPE]: 'sql',
+          [Tags.DB_INSTANCE]: 'users',
+          [Tags.DB_STATEMENT]: 'SELECT * FROM users WHERE id = 1'
+        }
+      })
+      clock.tick(100)
+      span1.finish()
+
+      const span2 = tracer.startSpan('redis_command', {
+        tags: {
+          [Tags.DB_TYPE]: 'redis',
+          [Tags.DB_STATEMENT]: 'SET session:1 foo',
+          [Tags.ERROR]: true
+        }
+      })
+      clock.tick(100)
+      span2.finish()
+
+      const span3 = tracer.startSpan('my-operation')
+      span3.finish()
+
+      prometheusReporter.reportFinish(span1)
+      prometheusReporter.reportFinish(span2)
+      prometheusReporter.reportFinish(span3)
+
+      // assert
+      expect(dbClientOperationDurationSeconds.labels).to.have.callCount(2)
+      expect(dbClientOperationDurationSeconds.labels).to.be.calledWith('sql', 'users', 'SELECT')
+      expect(dbClientOperationDurationSeconds.labels)
+        .to.be.calledWith('redis', PrometheusReporter.LABEL_TAG_UNKNOWN, 'SET')
+      expect(metricsStub.observe).to.have.callCount(2)
+      expect(dbClientOperationErrorsTotal.labels).to.have.callCount(1)
+      expect(dbClientOperationErrorsTotal.labels)
+        .to.be.calledWith('redis', PrometheusReporter.LABEL_TAG_UNKNOWN, 'SET')
+    })
+
+    it('should count finished operations', function () {
+      // init
+      const prometheusReporter = new PrometheusReporter()
+      const metricsOperationsFinishedTotal = prometheusReporter._metricsOperationsFinishedTotal()
+
+      const metricsStub = {
+        inc: this.sandbox.spy()
+      }
+
+      this.sandbox.stub(metricsOperationsFinishedTotal, 'labels').callsFake(() => metricsStub)
+
+      // generate data
+      const tracer = new Tracer('service')
+
+      const span = tracer.startSpan('my-operation')
+      span.finish()
+
+      prometheusReporter.reportFinish(span)
+
+      // assert
+      expect(metricsOperationsFinishedTotal.labels)
+        .to.be.calledWith(PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN, 'my-operation')
+      expect(metricsStub.inc).to.have.callCount(1)
+    })
+
+    it('should count finished operations ignored by tags set after start', function () {
+      // init
+      const prometheusReporter = new PrometheusReporter({
+        ignoreTags: {
+          [Tags.HTTP_URL]: /foo/
+        }
+      })
+      const metricsOperationsStartedTotal = prometheusReporter._metricsOperationsStartedTotal()
+      const metricsOperationsFinishedTotal = prometheusReporter._metricsOperationsFinishedTotal()
+      const metricsOperationDurationSeconds = prometheusReporter._metricsOperationDurationSeconds()
+
+      this.sandbox.spy(metricsOperationsStartedTotal, 'labels')
+      this.sandbox.spy(metricsOperationsFinishedTotal, 'labels')
+      this.sandbox.spy(metricsOperationDurationSeconds, 'labels')
+
+      // generate data
+      const tracer = new Tracer('service', [prometheusReporter])
+
+      const span = tracer.startSpan('my-operation')
+      span.setTag(Tags.HTTP_URL, 'http://127.0.0.1/foo')
+      span.finish()
+
+      // assert
+      expect(metricsOperationsStartedTotal.labels).to.have.callCount(1)
+      expect(metricsOperationsFinishedTotal.labels).to.have.callCount(1)
+      expect(metricsOperationDurationSeconds.labels).to.have.callCount(0)
+    })
+
+    it('should keep operations ignored at start ignored', function () {
+      // init
+      const prometheusReporter = new PrometheusReporter({
+        ignoreTags: {
+          [Tags.HTTP_URL]: /foo/
+        }
+      })
+      const metricsOperationsFinishedTotal = prometheusReporter._metricsOperationsFinishedTotal()
+      const metricsOperationsStuckTotal = prometheusReporter._metricsOperationsStuckTotal()
+
+      this.sandbox.spy(metricsOperationsFinishedTotal, 'labels')
+      this.sandbox.spy(metricsOperationsStuckTotal, 'labels')
+
+      // generate data
+      const tracer = new Tracer('service', [prometheusReporter])
+
+      const span = tracer.startSpan('my-operation', {
+        tags: { [Tags.HTTP_URL]: 'http://127.0.0.1/foo' }
+      })
+      span.setTag(Tags.HTTP_URL, 'http://127.0.0.1/bar')
+      prometheusReporter.reportStuck(span)
+      span.finish()
+
+      // assert
+      expect(metricsOperationsStuckTotal.labels).to.have.callCount(0)
+      expect(metricsOperationsFinishedTotal.labels).to.have.callCount(0)
+    })
+
+    it('should track in flight operations with the labels at start', function () {
+      // init
+      const prometheusReporter = new PrometheusReporter({
+        ignoreTags: {
+          [Tags.HTTP_URL]: /foo/
+        }
+      })
+      const metricsOperationsInFlight = prometheusReporter._metricsOperationsInFlight()
+
+      const metricsStub = {
+        inc: this.sandbox.spy(),
+        dec: this.sandbox.spy()
+      }
+
+      this.sandbox.stub(metricsOperationsInFlight, 'labels').callsFake(() => metricsStub)
+
+      // generate data
+      const tracer = new Tracer('service', [prometheusReporter])
+
+      const span = tracer.startSpan('my-operation')
+      span.setOperationName('my-operation-2')
+      span.setTag(Tags.HTTP_URL, 'http://127.0.0.1/foo')
+      span.finish()
+
+      // assert
+      expect(metricsOperationsInFlight.labels).to.have.callCount(2)
+      expect(metricsOperationsInFlight.labels).to.be.always
+        .calledWith(PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN, 'my-operation')
+      expect(metricsStub.inc).to.have.callCount(1)
+      expect(metricsStub.dec).to.have.callCount(1)
+    })
+
     it('should observe HTTP request metrics without parent', function () {
       // init
       const prometheusReporter = new PrometheusReporter()
@@ -139,7 +674,7 @@ describe('reporter/PrometheusReporter', () => {
       const span = tracer.startSpan('http_request')
       span.setTag(Tags.HTTP_METHOD, 'GET')
       span.setTag(Tags.HTTP_STATUS_CODE, 200)
-      span.setTag(Tags.SPAN_KIND_RPC_SERVER, true)
+      span.setTag(Tags.SPAN_KIND, Tags.SPAN_KIND_RPC_SERVER)
       clock.tick(100)
       span.finish()
 
@@ -173,7 +708,7 @@ describe('reporter/PrometheusReporter', () => {
       const span1 = tracer.startSpan('http_request', { childOf: parentSpan1 })
       span1.setTag(Tags.HTTP_METHOD, 'GET')
       span1.setTag(Tags.HTTP_STATUS_CODE, 200)
-      span1.setTag(Tags.SPAN_KIND_RPC_SERVER, true)
+      span1.setTag(Tags.SPAN_KIND, Tags.SPAN_KIND_RPC_SERVER)
       clock.tick(100)
       span1.finish()
 
@@ -181,7 +716,7 @@ describe('reporter/PrometheusReporter', () => {
       const span2 = tracer.startSpan('http_request', { childOf: parentSpan2 })
       span2.setTag(Tags.HTTP_METHOD, 'POST')
       span2.setTag(Tags.HTTP_STATUS_CODE, 201)
-      span2.setTag(Tags.SPAN_KIND_RPC_SERVER, true)
+      span2.setTag(Tags.SPAN_KIND, Tags.SPAN_KIND_RPC_SERVER)
       clock.tick(300)
       span2.finish()
 
@@ -197,7 +732,48 @@ describe('reporter/PrometheusReporter', () => {
       expect(metricsStub.observe).to.be.calledWith(0.3)
     })
 
-    it('should skip client HTTP requests', function () {
+    it('should observe HTTP request metrics with the deprecated span kind tag', function () {
+      // init
+      const prometheusReporter = new PrometheusReporter()
+      const httpRequestDurationSeconds = prometheusReporter._metricshttpRequestDurationSeconds()
+
+      const metricsStub = {
+        observe: this.sandbox.spy()
+      }
+
+      this.sandbox.stub(httpRequestDurationSeconds, 'labels').callsFake(() => metricsStub)
+
+      // generate data
+      const tracer = new Tracer('service')
+
+      const span = tracer.startSpan('http_request')
+      span.setTag(Tags.HTTP_METHOD, 'GET')
+      span.setTag(Tags.HTTP_STATUS_CODE, 200)
+      span.setTag(Tags.SPAN_KIND_RPC_SERVER, true)
+      clock.tick(100)
+      span.finish()
+
+      prometheusReporter.reportFinish(span)
+
+      // assert
+      expect(httpRequestDurationSeconds.labels)
+        .to.be.calledWith(PrometheusReporter.LABEL_PARENT_SERVICE_UNKNOWN, 'GET', 200)
+      expect(metricsStub.observe).to.be.calledWith(0.1)
+    })
+
+    it('should accept truthy values of the deprecated span kind tag', () => {
+      const tracer = new Tracer('service')
+      const values = [1, 'true', true]
+
+      values.forEach((value) => {
+        const span = tracer.startSpan('http_request')
+        span.setTag(Tags.SPAN_KIND_RPC_CLIENT, value)
+
+        expect(PrometheusReporter.getSpanKind(span)).to.be.equal(Tags.SPAN_KIND_RPC_CLIENT)
+      })
+    })
+
+    it('should skip HTTP requests without span kind', function () {
       // init
       const prometheusReporter = new PrometheusReporter()
       const httpRequestDurationSeconds = prometheusReporter._metricshttpRequestDurationSeconds()
@@ -224,6 +800,96 @@ describe('reporter/PrometheusReporter', () => {
       expect(httpRequestDurationSeconds.labels).to.have.callCount(0)
       expect(metricsStub.observe).to.have.callCount(0)
     })
+
+    it('should observe HTTP client request metrics', function () {
+      // init
+      const prometheusReporter = new PrometheusReporter()
+      const httpRequestDurationSeconds = prometheusReporter._metricshttpRequestDurationSeconds()
+      const httpClientRequestDurationSeconds = prometheusReporter._metricsHttpClientRequestDurationSeconds()
+
+      const metricsStub = {
+        observe: this.sandbox.spy()
+      }
+
+      this.sandbox.stub(httpRequestDurationSeconds, 'labels').callsFake(() => metricsStub)
+      this.sandbox.stub(httpClientRequestDurationSeconds, 'labels').callsFake(() => metricsStub)
+
+      // generate data
+      const tracer = new Tracer('service')
+
+      const span1 = tracer.startSpan('http_request')
+      span1.setTag(Tags.HTTP_METHOD, 'GET')
+      span1.setTag(Tags.HTTP_STATUS_CODE, 200)
+      span1.setTag(Tags.PEER_SERVICE, 'users')
+      span1.setTag(Tags.PEER_HOSTNAME, 'users.local')
+      span1.setTag(Tags.SPAN_KIND, Tags.SPAN_KIND_RPC_CLIENT)
+      clock.tick(100)
+      span1.finish()
+
+      const span2 = tracer.startSpan('http_request')
+      span2.setTag(Tags.HTTP_METHOD, 'POST')
+      span2.setTag(Tags.HTTP_STATUS_CODE, 201)
+      span2.setTag(Tags.SPAN_KIND_RPC_CLIENT, true)
+      clock.tick(100)
+      span2.finish()
+
+      prometheusReporter.reportFinish(span1)
+      prometheusReporter.reportFinish(span2)
+
+      // assert
+      expect(httpRequestDurationSeconds.labels).to.have.callCount(0)
+      expect(httpClientRequestDurationSeconds.labels).to.be.calledWith('users', 'users.local', 'GET', 200)
+      expect(httpClientRequestDurationSeconds.labels)
+        .to.be.calledWith(PrometheusReporter.LABEL_TAG_UNKNOWN, PrometheusReporter.LABEL_TAG_UNKNOWN, 'POST', 201)
+      expect(metricsStub.observe).to.have.callCount(2)
+    })
+  })
+
+  describe('#getMessageBusLag', () => {
+    it('should measure from the start of the FOLLOWS_FROM producer', () => {
+      const tracer = new Tracer('service')
+      const producerSpan = tracer.startSpan('publish')
+      const childOfSpan = tracer.startSpan('parent')
+
+      clock.tick(300)
+
+      const consumerSpan = tracer.startSpan('consume', {
+        childOf: childOfSpan,
+        references: [followsFrom(producerSpan.context())]
+      })
+      clock.tick(100)
+      consumerSpan.finish()
+
+      expect(PrometheusReporter.getMessageBusLag(consumerSpan)).to.be.equal(400)
+    })
+
+    it('should return undefined without producer start time', () => {
+      const tracer = new Tracer('service')
+      const consumerSpan = tracer.startSpan('consume', {
+        references: [followsFrom(new SpanContext('producer-service'))]
+      })
+      consumerSpan.finish()
+
+      expect(PrometheusReporter.getMessageBusLag(consumerSpan)).to.be.equal(undefined)
+    })
+  })
+
+  describe('#getDbStatementVerb', () => {
+    it('should return the uppercased first word of the statement if it is a known verb', () => {
+      const tracer = new Tracer('service')
+      const verb = (statement) => PrometheusReporter.getDbStatementVerb(tracer.startSpan('db', {
+        tags: { [Tags.DB_STATEMENT]: statement }
+      }))
+
+      expect(verb('select * from users where id = 1')).to.be.equal('SELECT')
+      expect(verb('  (SELECT 1) UNION (SELECT 2)')).to.be.equal('SELECT')
+      expect(verb('INSERT INTO users VALUES ($1)')).to.be.equal('INSERT')
+      expect(verb('GET session:42')).to.be.equal('GET')
+      expect(verb('users; DROP TABLE users')).to.be.equal(PrometheusReporter.LABEL_DB_STATEMENT_VERB_OTHER)
+      expect(verb('Robert')).to.be.equal(PrometheusReporter.LABEL_DB_STATEMENT_VERB_OTHER)
+      expect(verb('{"find":"users"}')).to.be.equal(PrometheusReporter.LABEL_TAG_UNKNOWN)
+      expect(verb(undefined)).to.be.equal(PrometheusReporter.LABEL_TAG_UNKNOWN)
+    })
   })
 
   describe('#metrics', () => {
@@ -235,5 +901,23 @@ describe('reporter/PrometheusReporter', () => {
         # TYPE operation_duration_seconds histogram\n
       `)
     })
+
+    it('should have summary metrics initialized', () => {
+      const reporter = new PrometheusReporter({ durationMetrics: 'summary' })
+
+      expect(reporter.metrics()).to.be.equal(dedent`
+        # HELP operation_duration_summary_seconds Duration of operations in second
+        # TYPE operation_duration_summary_seconds summary\n
+      `)
+    })
+
+    it('should prefix metric names', () => {
+      const reporter = new PrometheusReporter({ prefix: 'my_app_' })
+
+      expect(reporter.metrics()).to.be.equal(dedent`
+        # HELP my_app_operation_duration_seconds Duration of operations in second
+        # TYPE my_app_operation_duration_seconds histogram\n
+      `)
+    })
   })
 })
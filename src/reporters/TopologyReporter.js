@@ -0,0 +1,202 @@
+'use strict'
+
+const assert = require('assert')
+const Prometheus = require('prom-client')
+const Span = require('../tracer/Span')
+const PrometheusReporter = require('./PrometheusReporter')
+
+const METRICS_NAME_SERVICE_DEPENDENCY_CALLS_TOTAL = 'service_dependency_calls_total'
+const DEFAULT_MAX_EDGES = 1000
+
+/**
+* Accumulates the service dependency graph from the parent service - service pairs of the spans
+* Spans without parent service or with a parent in the same service are not dependencies
+* @class TopologyReporter
+*/
+class TopologyReporter {
+  /**
+  * Escapes a string for a quoted Graphviz DOT ID
+  * @static escapeDot
+  * @param {String} str
+  * @returns {String} escaped
+  */
+  static escapeDot (str) {
+    return String(str).replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+  }
+
+  /**
+  * @constructor
+  * @param {Object} [options={}]
+  * @param {Object} [options.ignoreTags={}] - { [tagKey]: RegExp }, spans with a matching tag value are skipped
+  * @param {Number} [options.maxEdges=DEFAULT_MAX_EDGES] - distinct edges, calls on new edges above the limit
+  *        go to the '__other__' edge
+  * @param {Array} [options.operationNameNormalizers=[]] - applied in order on operation names,
+  *        like PrometheusReporter's operationNameNormalizers
+  * @returns {TopologyReporter}
+  */
+  constructor ({
+    ignoreTags = {},
+    maxEdges = DEFAULT_MAX_EDGES,
+    operationNameNormalizers = []
+  } = {}) {
+    assert(ignoreTags && typeof ignoreTags === 'object', 'ignoreTags must be an Object')
+    assert(maxEdges === Infinity || (Number.isInteger(maxEdges) && maxEdges > 0), 'maxEdges must be a positive integer')
+    PrometheusReporter.validateOperationNameNormalizers(operationNameNormalizers)
+
+    this._options = {
+      ignoreTags,
+      maxEdges,
+      operationNameNormalizers
+    }
+    this._registry = new Prometheus.Registry()
+    // Edges by parent service, service and operation name
+    this._edges = new Map()
+
+    // Initialize metrics
+    this._metricsServiceDependencyCallsTotal()
+  }
+
+  /**
+  * Returns with the reporter's metrics in Prometheus format
+  * @method metrics
+  * @returns {Object} metrics
+  */
+  metrics () {
+    return this._registry.metrics()
+  }
+
+  /**
+  * Called by Tracer when a sampled span is finished, calls are scaled by the sampling rate
+  * @method reportFinish
+  * @param {Span} span
+  */
+  reportFinish (span) {
+    assert(span instanceof Span, 'span is required')
+
+    const spanContext = span.context()
+    const parentService = spanContext.parentServiceKey()
+    const service = spanContext._serviceKey
+
+    if (!parentService || parentService === service || PrometheusReporter.isIgnored(span, this._options.ignoreTags)) {
+      return
+    }
+
+    let labels = [
+      parentService,
+      service,
+      PrometheusReporter.normalizeOperationName(span, this._options.operationNameNormalizers)
+    ]
+    let key = JSON.stringify(labels)
+
+    // New edges above the limit are merged into the overflow edge
+    if (!this._edges.has(key) && this._edges.size >= this._options.maxEdges) {
+      labels = labels.map(() => PrometheusReporter.LABEL_OVERFLOW)
+      key = JSON.stringify(labels)
+    }
+
+    const [source, target, operation] = labels
+    let edge = this._edges.get(key)
+
+    if (!edge) {
+      edge = {
+        source,
+        target,
+        operation,
+        calls: 0,
+        errors: 0,
+        durationSum: 0,
+        durationMax: 0
+      }
+      this._edges.set(key, edge)
+    }
+
+    const duration = span.duration() / 1000
+    // A sampled span stands for 1 / samplingRate spans
+    const weight = spanContext.samplingRate() ? 1 / spanContext.samplingRate() : 1
+
+    edge.calls += weight
+    edge.errors += PrometheusReporter.isError(span) ? weight : 0
+    edge.durationSum += duration * weight
+    edge.durationMax = Math.max(edge.durationMax, duration)
+
+    this._metricsServiceDependencyCallsTotal()
+      .labels(source, target, operation)
+      .inc(weight)
+  }
+
+  /**
+  * Service dependency graph, durations are in seconds
+  * @method graph
+  * @returns {Object} graph - { nodes: [{ id }], edges: [{ source, target, operation, calls, errors, duration }] }
+  */
+  graph () {
+    const edges = Array.from(this._edges.values()).map((edge) => ({
+      source: edge.source,
+      target: edge.target,
+      operation: edge.operation,
+      calls: edge.calls,
+      errors: edge.errors,
+      duration: {
+        sum: edge.durationSum,
+        average: edge.durationSum / edge.calls,
+        max: edge.durationMax
+      }
+    }))
+    const services = new Set()
+
+    edges.forEach(({ source, target }) => {
+      services.add(source)
+      services.add(target)
+    })
+
+    return {
+      nodes: Array.from(services).map((id) => ({ id })),
+      edges
+    }
+  }
+
+  /**
+  * Service dependency graph in Graphviz DOT format, the labels have rounded counts,
+  * as sampled spans are scaled by the sampling rate, and millisecond precision
+  * @method toDot
+  * @returns {String} dot
+  */
+  toDot () {
+    const { nodes, edges } = this.graph()
+    const escape = TopologyReporter.escapeDot
+    const lines = nodes.map(({ id }) => `  "${escape(id)}";`)
+      .concat(edges.map(({ source, target, operation, calls, errors, duration }) => {
+        const label = `calls: ${Math.round(calls)}, errors: ${Math.round(errors)}, ` +
+          `avg: ${Number(duration.average.toFixed(3))}s`
+
+        return `  "${escape(source)}" -> "${escape(target)}" [label="${escape(operation)}\\n${label}"];`
+      }))
+
+    return ['digraph topology {'].concat(lines, '}').join('\n')
+  }
+
+  /**
+  * Singleton to get service dependency calls metrics
+  * @method _metricsServiceDependencyCallsTotal
+  * @private
+  * @return {Prometheus.Counter} serviceDependencyCallsTotal
+  */
+  _metricsServiceDependencyCallsTotal () {
+    let serviceDependencyCallsTotal = this._registry.getSingleMetric(METRICS_NAME_SERVICE_DEPENDENCY_CALLS_TOTAL)
+
+    if (!serviceDependencyCallsTotal) {
+      serviceDependencyCallsTotal = new Prometheus.Counter({
+        name: METRICS_NAME_SERVICE_DEPENDENCY_CALLS_TOTAL,
+        help: 'Number of calls between services',
+        labelNames: ['parent_service', 'service', 'name'],
+        registers: [this._registry]
+      })
+    }
+
+    return serviceDependencyCallsTotal
+  }
+}
+
+TopologyReporter.DEFAULT_MAX_EDGES = DEFAULT_MAX_EDGES
+
+module.exports = TopologyReporter
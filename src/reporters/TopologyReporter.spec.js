@@ -0,0 +1,207 @@
+'use strict'
+
+const sinon = require('sinon')
+const dedent = require('dedent')
+const { expect } = require('chai')
+const { Tags } = require('opentracing')
+const { Tracer } = require('../tracer')
+const { ProbabilisticSampler } = require('../tracer/samplers')
+const PrometheusReporter = require('./PrometheusReporter')
+const TopologyReporter = require('./TopologyReporter')
+
+describe('reporter/TopologyReporter', () => {
+  let clock
+  let reporter
+  let gatewayTracer
+  let usersTracer
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers()
+    reporter = new TopologyReporter()
+    gatewayTracer = new Tracer('gateway', [reporter])
+    usersTracer = new Tracer('users', [reporter])
+  })
+
+  afterEach(() => {
+    clock.restore()
+  })
+
+  function callUsers (operationName, duration, tags) {
+    const parentSpan = gatewayTracer.startSpan('http_request')
+    const span = usersTracer.startSpan(operationName, { childOf: parentSpan, tags })
+    clock.tick(duration)
+    span.finish()
+    parentSpan.finish()
+  }
+
+  describe('#graph', () => {
+    it('should accumulate edges between services', () => {
+      callUsers('get_user', 100)
+      callUsers('get_user', 300, { [Tags.ERROR]: true })
+      callUsers('list_users', 200)
+
+      expect(reporter.graph()).to.be.eql({
+        nodes: [{ id: 'gateway' }, { id: 'users' }],
+        edges: [{
+          source: 'gateway',
+          target: 'users',
+          operation: 'get_user',
+          calls: 2,
+          errors: 1,
+          duration: { sum: 0.4, average: 0.2, max: 0.3 }
+        }, {
+          source: 'gateway',
+          target: 'users',
+          operation: 'list_users',
+          calls: 1,
+          errors: 0,
+          duration: { sum: 0.2, average: 0.2, max: 0.2 }
+        }]
+      })
+    })
+
+    it('should scale edges by the sampling rate', function () {
+      this.sandbox.stub(Math, 'random').returns(0)
+      gatewayTracer = new Tracer('gateway', [reporter], { sampler: new ProbabilisticSampler(0.25) })
+
+      callUsers('get_user', 100, { [Tags.ERROR]: true })
+
+      expect(reporter.graph().edges[0]).to.be.eql({
+        source: 'gateway',
+        target: 'users',
+        operation: 'get_user',
+        calls: 4,
+        errors: 4,
+        duration: { sum: 0.4, average: 0.1, max: 0.1 }
+      })
+    })
+
+    it('should skip spans without parent and in-process children', () => {
+      const span = usersTracer.startSpan('get_user')
+      usersTracer.startSpan('db_query', { childOf: span }).finish()
+      span.finish()
+
+      expect(reporter.graph()).to.be.eql({ nodes: [], edges: [] })
+    })
+  })
+
+  describe('#constructor', () => {
+    it('should validate options', () => {
+      expect(() => new TopologyReporter({ maxEdges: 0 })).to.throw('maxEdges must be a positive integer')
+      expect(() => new TopologyReporter({ ignoreTags: null })).to.throw('ignoreTags must be an Object')
+      expect(() => new TopologyReporter({ operationNameNormalizers: [/users/] }))
+        .to.throw('Invalid operation name normalizer')
+    })
+  })
+
+  describe('#reportFinish', () => {
+    it('should skip spans by tag value', () => {
+      reporter = new TopologyReporter({
+        ignoreTags: {
+          [Tags.HTTP_URL]: /health/
+        }
+      })
+      gatewayTracer = new Tracer('gateway', [reporter])
+      usersTracer = new Tracer('users', [reporter])
+
+      callUsers('get_user', 100, { [Tags.HTTP_URL]: 'http://users/health' })
+      callUsers('get_user', 100, { [Tags.HTTP_URL]: 'http://users/users/1' })
+
+      expect(reporter.graph().edges).to.have.lengthOf(1)
+      expect(reporter.graph().edges[0].calls).to.be.equal(1)
+    })
+
+    it('should merge new edges above the limit into the overflow edge', () => {
+      reporter = new TopologyReporter({ maxEdges: 1 })
+      gatewayTracer = new Tracer('gateway', [reporter])
+      usersTracer = new Tracer('users', [reporter])
+
+      callUsers('get_user', 100)
+      callUsers('list_users', 100)
+      callUsers('delete_user', 100)
+      callUsers('get_user', 100)
+
+      const overflow = PrometheusReporter.LABEL_OVERFLOW
+
+      expect(reporter.graph().edges.map(({ source, target, operation, calls }) => [source, target, operation, calls]))
+        .to.be.eql([
+          ['gateway', 'users', 'get_user', 2],
+          [overflow, overflow, overflow, 2]
+        ])
+      expect(reporter.metrics()).to.have.string(
+        `service_dependency_calls_total{parent_service="${overflow}",service="${overflow}",name="${overflow}"} 2`)
+    })
+
+    it('should cap the edges by default', () => {
+      for (let i = 0; i <= TopologyReporter.DEFAULT_MAX_EDGES; i += 1) {
+        callUsers(`GET /users/${i}`, 100)
+      }
+
+      expect(reporter.graph().edges).to.have.lengthOf(TopologyReporter.DEFAULT_MAX_EDGES + 1)
+      expect(reporter.graph().edges[TopologyReporter.DEFAULT_MAX_EDGES].operation)
+        .to.be.equal(PrometheusReporter.LABEL_OVERFLOW)
+    })
+
+    it('should normalize operation names', () => {
+      reporter = new TopologyReporter({
+        operationNameNormalizers: [PrometheusReporter.OPERATION_NAME_NORMALIZER_NUMERIC_ID]
+      })
+      gatewayTracer = new Tracer('gateway', [reporter])
+      usersTracer = new Tracer('users', [reporter])
+
+      callUsers('GET /users/1', 100)
+      callUsers('GET /users/2', 100)
+
+      expect(reporter.graph().edges.map(({ operation, calls }) => [operation, calls]))
+        .to.be.eql([['GET /users/:id', 2]])
+      expect(reporter.metrics()).to.have.string(
+        'service_dependency_calls_total{parent_service="gateway",service="users",name="GET /users/:id"} 2')
+    })
+  })
+
+  describe('#toDot', () => {
+    it('should render the graph in Graphviz DOT format', () => {
+      callUsers('get "user"', 100)
+
+      expect(reporter.toDot()).to.be.equal([
+        'digraph topology {',
+        '  "gateway";',
+        '  "users";',
+        '  "gateway" -> "users" [label="get \\"user\\"\\ncalls: 1, errors: 0, avg: 0.1s"];',
+        '}'
+      ].join('\n'))
+    })
+
+    it('should round the average duration to milliseconds', function () {
+      this.sandbox.stub(process, 'hrtime')
+        .returns([0, 0])
+        .withArgs([0, 0]).returns([0, 123456789])
+
+      callUsers('get_user', 0)
+
+      expect(reporter.toDot()).to.have.string('[label="get_user\\ncalls: 1, errors: 0, avg: 0.123s"];')
+    })
+
+    it('should round the scaled counts', function () {
+      this.sandbox.stub(Math, 'random').returns(0)
+      gatewayTracer = new Tracer('gateway', [reporter], { sampler: new ProbabilisticSampler(0.3) })
+
+      callUsers('get_user', 100, { [Tags.ERROR]: true })
+
+      expect(reporter.toDot()).to.have.string('[label="get_user\\ncalls: 3, errors: 3, avg: 0.1s"];')
+    })
+  })
+
+  describe('#metrics', () => {
+    it('should have service dependency calls metrics', () => {
+      callUsers('get_user', 100)
+      callUsers('get_user', 100)
+
+      expect(reporter.metrics()).to.be.equal(dedent`
+        # HELP service_dependency_calls_total Number of calls between services
+        # TYPE service_dependency_calls_total counter
+        service_dependency_calls_total{parent_service="gateway",service="users",name="get_user"} 2\n
+      `)
+    })
+  })
+})
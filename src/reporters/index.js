@@ -1,7 +1,9 @@
 'use strict'
 
 const PrometheusReporter = require('./PrometheusReporter')
+const TopologyReporter = require('./TopologyReporter')
 
 module.exports = {
-  PrometheusReporter
+  PrometheusReporter,
+  TopologyReporter
 }
@@ -0,0 +1,65 @@
+'use strict'
+
+const assert = require('assert')
+// AsyncLocalStorage is available since Node 12.17
+const { AsyncLocalStorage } = require('async_hooks')
+
+/**
+* Tracks the active span across asynchronous continuations with AsyncLocalStorage
+* Without AsyncLocalStorage the span is active only in the synchronous execution of withSpan
+* Tracers sharing a ScopeManager share the active span
+* @class ScopeManager
+*/
+class ScopeManager {
+  /**
+  * @constructor
+  * @returns {ScopeManager}
+  */
+  constructor () {
+    this._storage = AsyncLocalStorage ? new AsyncLocalStorage() : undefined
+    this._active = null
+  }
+
+  /**
+  * Returns the active span of the current execution context
+  * @method active
+  * @returns {Span|null} span
+  */
+  active () {
+    if (!this._storage) {
+      return this._active
+    }
+
+    return this._storage.getStore() || null
+  }
+
+  /**
+  * Calls fn with the span as active span, the span stays active in the callbacks and promises created by fn
+  * when AsyncLocalStorage is available
+  * @method withSpan
+  * @param {Span|null} span - null deactivates the active span
+  * @param {Function} fn
+  * @returns {*} - the return value of fn
+  */
+  withSpan (span, fn) {
+    assert(typeof fn === 'function', 'fn is required')
+
+    if (this._storage) {
+      return this._storage.run(span, fn)
+    }
+
+    const previousSpan = this._active
+
+    this._active = span
+
+    try {
+      return fn()
+    } finally {
+      this._active = previousSpan
+    }
+  }
+}
+
+ScopeManager.IS_ASYNC_SUPPORTED = Boolean(AsyncLocalStorage)
+
+module.exports = ScopeManager
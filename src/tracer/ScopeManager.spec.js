@@ -0,0 +1,98 @@
+'use strict'
+
+const { expect } = require('chai')
+const ScopeManager = require('./ScopeManager')
+
+describe('tracer/ScopeManager', () => {
+  describe('#active', () => {
+    it('should return null without active span', () => {
+      const scopeManager = new ScopeManager()
+
+      expect(scopeManager.active()).to.be.equal(null)
+    })
+  })
+
+  describe('#withSpan', () => {
+    it('should activate the span in fn', () => {
+      const scopeManager = new ScopeManager()
+      const span = {}
+
+      const result = scopeManager.withSpan(span, () => {
+        expect(scopeManager.active()).to.be.equal(span)
+        return 'result'
+      })
+
+      expect(result).to.be.equal('result')
+      expect(scopeManager.active()).to.be.equal(null)
+    })
+
+    it('should restore the outer span', () => {
+      const scopeManager = new ScopeManager()
+      const span1 = {}
+      const span2 = {}
+
+      scopeManager.withSpan(span1, () => {
+        scopeManager.withSpan(span2, () => {
+          expect(scopeManager.active()).to.be.equal(span2)
+        })
+
+        scopeManager.withSpan(null, () => {
+          expect(scopeManager.active()).to.be.equal(null)
+        })
+
+        expect(scopeManager.active()).to.be.equal(span1)
+      })
+    })
+
+    it('should keep the span active in callbacks and promises', function () {
+      if (!ScopeManager.IS_ASYNC_SUPPORTED) {
+        this.skip()
+      }
+
+      const scopeManager = new ScopeManager()
+      const span1 = {}
+      const span2 = {}
+
+      const activeSpans = (span) => scopeManager.withSpan(span, () => Promise.all([
+        new Promise((resolve) => setImmediate(() => resolve(scopeManager.active()))),
+        Promise.resolve().then(() => scopeManager.active())
+      ]))
+
+      return Promise.all([activeSpans(span1), activeSpans(span2)])
+        .then(([spans1, spans2]) => {
+          expect(spans1[0]).to.be.equal(span1)
+          expect(spans1[1]).to.be.equal(span1)
+          expect(spans2[0]).to.be.equal(span2)
+          expect(spans2[1]).to.be.equal(span2)
+        })
+    })
+
+    it('should fall back to the synchronous execution without AsyncLocalStorage', () => {
+      const scopeManager = new ScopeManager()
+      const span = {}
+
+      scopeManager._storage = undefined
+
+      const result = scopeManager.withSpan(span, () => {
+        expect(scopeManager.active()).to.be.equal(span)
+        return Promise.resolve().then(() => scopeManager.active())
+      })
+
+      expect(scopeManager.active()).to.be.equal(null)
+      expect(() => scopeManager.withSpan(span, () => {
+        throw new Error('failed')
+      })).to.throw('failed')
+      expect(scopeManager.active()).to.be.equal(null)
+
+      return result.then((activeSpan) => {
+        expect(activeSpan).to.be.equal(null)
+      })
+    })
+
+    it('should validate fn', () => {
+      const scopeManager = new ScopeManager()
+
+      expect(() => scopeManager.withSpan({})).to.throw('fn is required')
+    })
+  })
+})
@@ -13,9 +13,13 @@ class Span {
   * @param {Tracer} tracer
   * @param {String} operationName
   * @param {SpanContext} spanContext
-  * @param {Object} tags
-  * @param {Number} startTime
+  * @param {Object} tags - copied, callers can reuse the object
+  * @param {Number} [startTime=Date.now()] - in milliseconds as a Unix timestamp
   * @param {Array} references - Array of Reference
+  * @param {String} [referenceType] - type of the reference the span context is derived from,
+  *        REFERENCE_CHILD_OF or REFERENCE_FOLLOWS_FROM
+  * @param {Array} [hrStartTime] - process.hrtime() at startTime, the duration is measured with
+  *        the monotonic clock when it's known
   * @returns {Span}
   */
   constructor (
@@ -23,8 +27,10 @@ class Span {
     operationName,
     spanContext,
     tags = {},
-    startTime = Date.now(),
-    references = []
+    startTime,
+    references = [],
+    referenceType,
+    hrStartTime
   ) {
     assert(tracer, 'tracer is required')
     assert(spanContext instanceof SpanContext, 'spanContext is required')
@@ -33,10 +39,12 @@ class Span {
     this._tracer = tracer
     this._operationName = operationName
     this._spanContext = spanContext
-    this._startTime = startTime
+    this._startTime = startTime === undefined ? Date.now() : startTime
+    this._hrStartTime = startTime === undefined ? process.hrtime() : hrStartTime
     this._references = references
+    this._referenceType = referenceType
     this._logs = []
-    this._tags = tags
+    this._tags = Object.assign({}, tags)
     this._duration = undefined
   }
 
@@ -65,13 +73,22 @@ class Span {
 
   /**
   * Sets the end timestamp and finalizes Span state
+  * Without finishTime the duration of spans started now is measured with the monotonic clock,
+  * so it has sub-millisecond resolution and wall-clock jumps don't affect it
   * @method finishTime
   * @param {Number} [finishTime] - Optional finish time in milliseconds as a Unix timestamp
   */
   finish (finishTime) {
     assert(finishTime === undefined || typeof finishTime === 'number', 'finishTime is required')
 
-    this._duration = (finishTime || Date.now()) - this._startTime
+    if (finishTime === undefined && this._hrStartTime) {
+      const [seconds, nanoseconds] = process.hrtime(this._hrStartTime)
+
+      this._duration = (seconds * 1e3) + (nanoseconds / 1e6)
+      return
+    }
+
+    this._duration = (finishTime === undefined ? Date.now() : finishTime) - this._startTime
   }
 
   /**
@@ -173,6 +190,17 @@ class Span {
 * @extends Span
 */
 class MetricsSpan extends Span {
+  /**
+  * @constructor
+  * @param {...*} args - see Span
+  * @returns {MetricsSpan}
+  */
+  constructor (...args) {
+    super(...args)
+
+    this._finished = false
+  }
+
   /**
   * Get operation name
   * @method operationName
@@ -182,6 +210,34 @@ class MetricsSpan extends Span {
     return this._operationName
   }
 
+  /**
+  * Get start time
+  * @method startTime
+  * @returns {Number} startTime - in milliseconds as a Unix timestamp
+  */
+  startTime () {
+    return this._startTime
+  }
+
+  /**
+  * Get references
+  * @method references
+  * @returns {Array} references - Array of Reference
+  */
+  references () {
+    return this._references
+  }
+
+  /**
+  * Get the type of the reference the span context is derived from
+  * @method referenceType
+  * @returns {String|Undefined} referenceType - REFERENCE_CHILD_OF or REFERENCE_FOLLOWS_FROM,
+  *          undefined for root spans
+  */
+  referenceType () {
+    return this._referenceType
+  }
+
   /**
   * Get duration
   * @method duration
@@ -204,15 +260,103 @@ class MetricsSpan extends Span {
   }
 
   /**
-  * Sets the end timestamp and finalizes Span state
+  * Returns whether the span is finished
+  * @method isFinished
+  * @returns {Boolean}
+  */
+  isFinished () {
+    return this._finished
+  }
+
+  /**
+  * Sets the end timestamp and finalizes Span state, only the first call is reported
   * @method finishTime
   * @param {Number} [finishTime] - Optional finish time in milliseconds as a Unix timestamp
   */
   finish (finishTime) {
+    if (this._finished) {
+      this._tracer.reportDuplicateFinish(this)
+      return
+    }
+
     super.finish(finishTime)
+    this._finished = true
 
     this._tracer.reportFinish(this)
   }
+
+  /**
+  * Adds the given key value pairs to the set of span tags, ignored after finish
+  * @method addTags
+  * @param {Object} keyValueMap - [key: string]: any
+  * @returns {Span}
+  */
+  addTags (keyValueMap) {
+    if (this._isMutationAfterFinish('addTags')) {
+      return this
+    }
+
+    return super.addTags(keyValueMap)
+  }
+
+  /**
+  * Add a log record to this Span, ignored after finish
+  * @method log
+  * @param {Object} keyValuePairs
+  * @param {Number} [timestamp]
+  * @returns {Span}
+  */
+  log (keyValuePairs, timestamp) {
+    if (this._isMutationAfterFinish('log')) {
+      return this
+    }
+
+    return super.log(keyValuePairs, timestamp)
+  }
+
+  /**
+  * Sets the string name for the logical operation this span represents, ignored after finish
+  * @method setOperationName
+  * @param {String} operationName
+  * @returns {Span}
+  */
+  setOperationName (operationName) {
+    if (this._isMutationAfterFinish('setOperationName')) {
+      return this
+    }
+
+    return super.setOperationName(operationName)
+  }
+
+  /**
+  * Adds a single tag to the span, ignored after finish
+  * @method setTag
+  * @param {String} key
+  * @param {*} value
+  * @returns {Span}
+  */
+  setTag (key, value) {
+    if (this._isMutationAfterFinish('setTag')) {
+      return this
+    }
+
+    return super.setTag(key, value)
+  }
+
+  /**
+  * Reports mutation after finish to the tracer
+  * @method _isMutationAfterFinish
+  * @private
+  * @param {String} method
+  * @returns {Boolean}
+  */
+  _isMutationAfterFinish (method) {
+    if (this._finished) {
+      this._tracer.reportMutationAfterFinish(this, method)
+    }
+
+    return this._finished
+  }
 }
 
 module.exports = MetricsSpan
@@ -26,6 +26,18 @@ describe('tracer/Span', () => {
 
       expect(span._startTime).to.be.lte(0)
     })
+
+    it('should copy the tags', () => {
+      const tracer = new Tracer('service-1')
+      const spanContext = new SpanContext('service-1')
+      const tags = { [Tags.HTTP_METHOD]: 'GET' }
+      const span = new Span(tracer, 'operation', spanContext, tags)
+
+      span.setTag(Tags.ERROR, true)
+
+      expect(span.getTag(Tags.HTTP_METHOD)).to.be.equal('GET')
+      expect(tags).to.be.eql({ [Tags.HTTP_METHOD]: 'GET' })
+    })
   })
 
   describe('#addTags', () => {
@@ -70,6 +82,42 @@ describe('tracer/Span', () => {
       expect(tracer.reportFinish).to.be.calledWith(span)
     })
 
+    it('should measure sub-millisecond duration with the monotonic clock', function () {
+      const tracer = new Tracer('service-1')
+      const span = tracer.startSpan('operation')
+
+      this.sandbox.stub(process, 'hrtime').withArgs(span._hrStartTime).returns([1, 234567])
+
+      span.finish()
+
+      expect(span.duration()).to.be.equal(1000.234567)
+    })
+
+    it('should not be affected by wall-clock jumps', () => {
+      const tracer = new Tracer('service-1')
+      const span = tracer.startSpan('operation')
+
+      clock.tick(100)
+      clock.setSystemTime(-5000)
+
+      span.finish()
+
+      expect(span.duration()).to.be.equal(100)
+    })
+
+    it('should measure duration with wall-clock from passed startTime', () => {
+      const tracer = new Tracer('service-1')
+
+      clock.tick(1000)
+
+      const span = tracer.startSpan('operation', { startTime: 950 })
+
+      clock.tick(100)
+      span.finish()
+
+      expect(span.duration()).to.be.equal(150)
+    })
+
     it('should use passed finishTime', () => {
       const tracer = new Tracer('service-1')
       const spanContext = new SpanContext('service-1')
@@ -81,6 +129,67 @@ describe('tracer/Span', () => {
 
       expect(span._duration).to.be.equal(110)
     })
+
+    it('should report only the first finish', function () {
+      const onDiagnostic = this.sandbox.spy()
+      const tracer = new Tracer('service-1', [], { onDiagnostic })
+      const spanContext = new SpanContext('service-1')
+      const span = new Span(tracer, 'operation', spanContext)
+
+      this.sandbox.spy(tracer, 'reportFinish')
+
+      clock.tick(100)
+      span.finish()
+      clock.tick(100)
+      span.finish()
+
+      expect(span.duration()).to.be.equal(100)
+      expect(tracer.reportFinish).to.have.callCount(1)
+      expect(onDiagnostic).to.be.calledWith({
+        type: Tracer.DIAGNOSTIC_DUPLICATE_FINISH,
+        span,
+        method: undefined
+      })
+    })
+  })
+
+  describe('#isFinished', () => {
+    it('should return whether the span is finished', () => {
+      const tracer = new Tracer('service-1')
+      const spanContext = new SpanContext('service-1')
+      const span = new Span(tracer, 'operation', spanContext)
+
+      expect(span.isFinished()).to.be.equal(false)
+      span.finish()
+      expect(span.isFinished()).to.be.equal(true)
+    })
+  })
+
+  describe('mutation after finish', () => {
+    it('should ignore mutations', function () {
+      const onDiagnostic = this.sandbox.spy()
+      const tracer = new Tracer('service-1', [], { onDiagnostic })
+      const spanContext = new SpanContext('service-1')
+      const span = new Span(tracer, 'operation', spanContext)
+
+      span.finish()
+
+      expect(span.setTag(Tags.HTTP_METHOD, 'GET')).to.be.equal(span)
+      expect(span.addTags({ [Tags.HTTP_METHOD]: 'GET' })).to.be.equal(span)
+      expect(span.log({ foo: 'bar' })).to.be.equal(span)
+      expect(span.setOperationName('operation2')).to.be.equal(span)
+
+      expect(span._tags).to.be.eql({})
+      expect(span._logs).to.be.eql([])
+      expect(span.operationName()).to.be.equal('operation')
+      expect(onDiagnostic.args.map(([event]) => event.method))
+        .to.be.eql(['setTag', 'addTags', 'log', 'setOperationName'])
+      expect(onDiagnostic).to.be.calledWith({
+        type: Tracer.DIAGNOSTIC_MUTATION_AFTER_FINISH,
+        span,
+        method: 'setTag'
+      })
+    })
   })
 
   describe('#getBaggageItem', () => {
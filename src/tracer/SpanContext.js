@@ -12,28 +12,77 @@ class SpanContext {
   * @constructor
   * @param {String} serviceKey
   * @param {String} [parentServiceKey]
-  * @param {String} [traceId]
-  * @param {String} [spanId]
+  * @param {String} [traceId] - generated on first use when omitted
+  * @param {String} [spanId] - generated on first use when omitted
   * @param {String} [parentSpanId]
+  * @param {Number} [startTime] - start time of the span in milliseconds as a Unix timestamp
+  * @param {Boolean} [sampled] - sampling decision of the trace, undefined when not decided yet
+  * @param {Number} [samplingRate] - probability of sampling the trace, between 0 and 1
   * @returns {SpanContext}
   */
   constructor (
     serviceKey,
     parentServiceKey,
-    traceId = `${uuidV1()}-${uuidV4()}`,
-    spanId = uuidV4(),
-    parentSpanId
+    traceId,
+    spanId,
+    parentSpanId,
+    startTime,
+    sampled,
+    samplingRate
   ) {
     assert(typeof serviceKey === 'string', 'serviceKey is required')
+    assert(startTime === undefined || typeof startTime === 'number', 'startTime must be a Number')
+    assert(sampled === undefined || typeof sampled === 'boolean', 'sampled must be a Boolean')
+    assert(samplingRate === undefined || (typeof samplingRate === 'number' && samplingRate >= 0 && samplingRate <= 1),
+      'samplingRate must be a number between 0 and 1')
 
     this._serviceKey = serviceKey
     this._parentServiceKey = parentServiceKey
-    this._traceId = traceId
-    this._spanId = spanId
+    // Ids are generated on first use, spans that are never propagated or parents don't need them
+    this._ids = { traceId, spanId }
     this._parentSpanId = parentSpanId
+    this._startTime = startTime
+    this._sampled = sampled
+    this._samplingRate = samplingRate
     this._baggage = {}
   }
 
+  /**
+  * Trace id, generated on first use
+  * @property _traceId
+  * @private
+  * @returns {String} traceId
+  */
+  get _traceId () {
+    if (this._ids.traceId === undefined) {
+      this._ids.traceId = `${uuidV1()}-${uuidV4()}`
+    }
+
+    return this._ids.traceId
+  }
+
+  set _traceId (traceId) {
+    this._ids.traceId = traceId
+  }
+
+  /**
+  * Span id, generated on first use
+  * @property _spanId
+  * @private
+  * @returns {String} spanId
+  */
+  get _spanId () {
+    if (this._ids.spanId === undefined) {
+      this._ids.spanId = uuidV4()
+    }
+
+    return this._ids.spanId
+  }
+
+  set _spanId (spanId) {
+    this._ids.spanId = spanId
+  }
+
   /**
   * Returns the value for a baggage item given its key
   * @method getBaggageItem
@@ -70,6 +119,33 @@ class SpanContext {
   parentServiceKey () {
     return this._parentServiceKey
   }
+
+  /**
+  * Returns the start time of the span, propagated to measure the lag of FOLLOWS_FROM spans
+  * @method startTime
+  * @returns {Number|Undefined} startTime - in milliseconds as a Unix timestamp
+  */
+  startTime () {
+    return this._startTime
+  }
+
+  /**
+  * Returns the sampling decision of the trace
+  * @method sampled
+  * @returns {Boolean|Undefined} sampled - undefined when the decision is not propagated
+  */
+  sampled () {
+    return this._sampled
+  }
+
+  /**
+  * Returns the probability of sampling the trace, reporters scale the observations of sampled spans with it
+  * @method samplingRate
+  * @returns {Number|Undefined} samplingRate - between 0 and 1, undefined when it's not propagated
+  */
+  samplingRate () {
+    return this._samplingRate
+  }
 }
 
 module.exports = SpanContext
@@ -21,6 +21,17 @@ describe('tracer/SpanContext', () => {
       expect(spanContext._traceId.length).to.be.equal(73)
       expect(spanContext._spanId.length).to.be.equal(36)
     })
+
+    it('should generate traceId and spanId on first use', () => {
+      const spanContext = new SpanContext('service-1')
+
+      expect(spanContext._ids).to.be.eql({ traceId: undefined, spanId: undefined })
+
+      const spanId = spanContext._spanId
+
+      expect(spanContext._spanId).to.be.equal(spanId)
+      expect(spanContext._ids.traceId).to.be.equal(undefined)
+    })
   })
 
   describe('#setBaggageItem', () => {
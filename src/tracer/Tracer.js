@@ -1,14 +1,39 @@
 'use strict'
 
 const assert = require('assert')
-const { FORMAT_BINARY, FORMAT_TEXT_MAP, FORMAT_HTTP_HEADERS, REFERENCE_CHILD_OF } = require('opentracing')
+const {
+  Tags,
+  FORMAT_BINARY,
+  FORMAT_TEXT_MAP,
+  FORMAT_HTTP_HEADERS,
+  REFERENCE_CHILD_OF,
+  REFERENCE_FOLLOWS_FROM
+} = require('opentracing')
 const Span = require('./Span')
 const SpanContext = require('./SpanContext')
 const Reference = require('./Reference')
+const ScopeManager = require('./ScopeManager')
+const BinaryPropagator = require('./propagation/BinaryPropagator')
+const TextMapPropagator = require('./propagation/TextMapPropagator')
+const W3CPropagator = require('./propagation/W3CPropagator')
+const B3Propagator = require('./propagation/B3Propagator')
+const HeadersCarrier = require('./propagation/HeadersCarrier')
+const ConstSampler = require('./samplers/ConstSampler')
 
-const CARRIER_KEY_SERVICE_KEYS = 'metrics-tracer-service-key'
-const CARRIER_KEY_TRACE_ID = 'metrics-tracer-trace-id'
-const CARRIER_KEY_SPAN_IDS = 'metrics-tracer-span-id'
+const DIAGNOSTIC_DUPLICATE_FINISH = 'duplicate_finish'
+const DIAGNOSTIC_MUTATION_AFTER_FINISH = 'mutation_after_finish'
+const PROPAGATION_METRICS_TRACER = 'metrics-tracer'
+const PROPAGATION_W3C = 'w3c'
+const PROPAGATION_B3 = 'b3'
+const PROPAGATION_B3_SINGLE = 'b3-single'
+// FORMAT_HTTP_HEADERS carriers are normalized only for the built-in propagators
+const HEADERS_CARRIER_PROPAGATORS = [TextMapPropagator, W3CPropagator, B3Propagator]
+const TEXT_MAP_PROPAGATORS = {
+  [PROPAGATION_METRICS_TRACER]: () => new TextMapPropagator(),
+  [PROPAGATION_W3C]: () => new W3CPropagator(),
+  [PROPAGATION_B3]: () => new B3Propagator(),
+  [PROPAGATION_B3_SINGLE]: () => new B3Propagator({ singleHeader: true })
+}
 
 /**
 * Tracer is the entry-point between the instrumentation API and the tracing implementation
@@ -16,19 +41,249 @@ const CARRIER_KEY_SPAN_IDS = 'metrics-tracer-span-id'
 * @class Tracer
 */
 class Tracer {
+  /**
+  * Tags the span with Tags.ERROR and logs the error with the OpenTracing error log fields
+  * @static setError
+  * @param {Span} span
+  * @param {*} err
+  */
+  static setError (span, err) {
+    span.setTag(Tags.ERROR, true)
+    span.log({
+      event: 'error',
+      'error.object': err,
+      message: err && err.message,
+      stack: err && err.stack
+    })
+  }
+
   /**
   * @constructor
   * @param {String} serviceKey
   * @param {Array} reporters
+  * @param {Object} [options={}]
+  * @param {String|Array} [options.propagation=PROPAGATION_METRICS_TRACER] - text map and HTTP headers
+  *        propagation modes, every mode is injected and the first extracted one wins
+  * @param {Object} [options.propagators={}] - format to Array of Propagator,
+  *        replaces the default propagators of the format
+  * @param {Sampler} [options.sampler=new ConstSampler(true)] - decides whether new traces are sampled,
+  *        spans of a sampled or unsampled context inherit the decision
+  * @param {ScopeManager} [options.scopeManager=new ScopeManager()] - tracks the active span,
+  *        tracers sharing a ScopeManager share the active span
   * @returns {Tracer}
   */
-  constructor (serviceKey, reporters = []) {
+  constructor (serviceKey, reporters = [], {
+    propagation = PROPAGATION_METRICS_TRACER,
+    propagators = {},
+    sampler = new ConstSampler(true),
+    scopeManager = new ScopeManager()
+  } = {}) {
+    const propagationModes = [].concat(propagation)
+
+    assert(propagationModes.length, 'Invalid propagation')
+    propagationModes.forEach((mode) => assert(TEXT_MAP_PROPAGATORS[mode], 'Invalid propagation'))
+    assert(sampler && typeof sampler.sample === 'function', 'sampler must implement sample')
+    assert(scopeManager && typeof scopeManager.active === 'function' && typeof scopeManager.withSpan === 'function',
+      'scopeManager must implement active and withSpan')
+
     this._serviceKey = serviceKey
     this._reporters = reporters
+    this._sampler = sampler
+    this._scopeManager = scopeManager
+    this._propagators = {
+      [FORMAT_BINARY]: [new BinaryPropagator()],
+      [FORMAT_TEXT_MAP]: propagationModes.map((mode) => TEXT_MAP_PROPAGATORS[mode]()),
+      [FORMAT_HTTP_HEADERS]: propagationModes.map((mode) => TEXT_MAP_PROPAGATORS[mode]())
+    }
+
+    Object.entries(propagators).forEach(([format, formatPropagators]) => {
+      this._propagators[format] = []
+      this.registerPropagators(format, formatPropagators)
+    })
   }
 
   /**
-  * @method extract
+  * Adds a propagator to the chain of the format, every propagator of the chain is injected
+  * and the first extracted SpanContext wins
+  * @method registerPropagator
+  * @param {String} format - the format of the carrier, opentracing or custom format
+  * @param {Propagator} propagator
+  * @returns {Tracer}
+  */
+  registerPropagator (format, propagator) {
+    assert(typeof format === 'string', 'format is required')
+    assert(propagator && typeof propagator.inject === 'function' && typeof propagator.extract === 'function',
+      'propagator must implement inject and extract')
+
+    this._propagators[format] = (this._propagators[format] || []).concat(propagator)
+
+    return this
+  }
+
+  /**
+  * Adds multiple propagators to the chain of the format in order
+  * @method registerPropagators
+  * @param {String} format
+  * @param {Array} propagators - Array of Propagator
+  * @returns {Tracer}
+  */
+  registerPropagators (format, propagators) {
+    [].concat(propagators).forEach((propagator) => this.registerPropagator(format, propagator))
+
+    return this
+  }
+
+  /**
+  * Returns the active span of the current execution context
+  * @method activeSpan
+  * @returns {Span|null} span
+  */
+  activeSpan () {
+    return this._scopeManager.active()
+  }
+
+  /**
+  * Calls fn with the span as active span, spans started in fn and in its asynchronous continuations
+  * are children of the span by default
+  * @method withSpan
+  * @param {Span|null} span - null deactivates the active span
+  * @param {Function} fn
+  * @returns {*} - the return value of fn
+  */
+  withSpan (span, fn) {
+    return this._scopeManager.withSpan(span, fn)
+  }
+
+  /**
+  * Runs fn in a span that is active in fn and finished exactly once when fn is done,
+  * the span is tagged with Tags.ERROR when fn throws, rejects or calls back with an error
+  * fn can be synchronous, promise-returning or callback-style when it declares a second parameter
+  * @method trace
+  * @param {String} operationName
+  * @param {Object} [options] - see Tracer#startSpan
+  * @param {Function} fn - (span) => result or (span, done) => result, call done(err) when finished
+  * @returns {*} - the return value of fn, promises are chained to finish the span
+  */
+  trace (operationName, options, fn) {
+    if (typeof options === 'function') {
+      fn = options
+      options = {}
+    }
+
+    assert(typeof fn === 'function', 'fn is required')
+
+    const span = this.startSpan(operationName, options)
+    let finished = false
+
+    const finish = (isError, err) => {
+      if (finished) {
+        return
+      }
+
+      finished = true
+
+      if (isError) {
+        Tracer.setError(span, err)
+      }
+
+      span.finish()
+    }
+
+    return this.withSpan(span, () => {
+      let result
+
+      try {
+        result = fn.length > 1 ?
+          fn(span, (err) => finish(Boolean(err), err)) :
+          fn(span)
+      } catch (err) {
+        finish(true, err)
+        throw err
+      }
+
+      if (fn.length > 1) {
+        return result
+      }
+
+      if (result && typeof result.then === 'function') {
+        return result.then((value) => {
+          finish(false)
+          return value
+        }, (err) => {
+          finish(true, err)
+          throw err
+        })
+      }
+
+      finish(false)
+      return result
+    })
+  }
+
+  /**
+  * Wraps a synchronous or promise-returning fn to run every call in a span, see Tracer#trace
+  * Function arguments are passed through as they are, use Tracer#wrapCallback for callback-style functions
+  * @method wrap
+  * @param {String} operationName
+  * @param {Object} [options] - see Tracer#startSpan
+  * @param {Function} fn
+  * @returns {Function} wrapped
+  */
+  wrap (operationName, options, fn) {
+    if (typeof options === 'function') {
+      fn = options
+      options = {}
+    }
+
+    assert(typeof fn === 'function', 'fn is required')
+
+    const tracer = this
+
+    return function wrapped (...args) {
+      return tracer.trace(operationName, options, () => fn.apply(this, args))
+    }
+  }
+
+  /**
+  * Wraps a callback-style fn to run every call in a span, see Tracer#trace
+  * The last argument of every call is the callback, the span is finished before calling it
+  * and it runs with the caller's active span
+  * @method wrapCallback
+  * @param {String} operationName
+  * @param {Object} [options] - see Tracer#startSpan
+  * @param {Function} fn - (...args, callback) => {}
+  * @returns {Function} wrapped
+  */
+  wrapCallback (operationName, options, fn) {
+    if (typeof options === 'function') {
+      fn = options
+      options = {}
+    }
+
+    assert(typeof fn === 'function', 'fn is required')
+
+    const tracer = this
+
+    return function wrapped (...args) {
+      const callback = args[args.length - 1]
+
+      assert(typeof callback === 'function', 'callback is required')
+
+      const callerSpan = tracer.activeSpan()
+
+      return tracer.trace(operationName, options, (span, done) => {
+        args[args.length - 1] = function (err, ...results) {
+          done(err)
+          return tracer.withSpan(callerSpan, () => callback.call(this, err, ...results))
+        }
+
+        return fn.apply(this, args)
+      })
+    }
+  }
+
+  /**
+  * @method startSpan
   * @param {String} operationName - the name of the operation
   * @param {Object} options
   * @param {SpanContext} [options.childOf] - a parent SpanContext (or Span,
@@ -39,96 +294,134 @@ class Tracer {
   *        each pointing to a causal parent SpanContext. If specified,
   *        `fields.childOf` must be unspecified.
   * @param {object} [options.tags] - set of key-value pairs which will be set
-  *        as tags on the newly created Span. Ownership of the object is
-  *        passed to the created span for efficiency reasons (the caller
-  *        should not modify this object after calling startSpan).
+  *        as tags on the newly created Span. The object is copied, tags set
+  *        on the span don't modify it, so callers can reuse their options.
+  * @param {Boolean} [options.ignoreActiveSpan=false] - don't default options.childOf to the active span
   * @param {number} [options.startTime] - a manually specified start time for
   *        the created Span object. The time should be specified in
   *        milliseconds as Unix timestamp. Decimal value are supported
   *        to represent time values with sub-millisecond accuracy.
+  * The trace and the parent are derived from `options.childOf`, or else from the first
+  * CHILD_OF or FOLLOWS_FROM reference, or else from the active span,
+  * the type of this reference is recorded on the span
+  * The sampling decision is inherited from the parent, the sampler decides without parent decision
+  * Baggage items of every referenced SpanContext are inherited by the new span,
+  * on conflicting keys the parent reference wins, then the first reference carrying the key
   * @returns {Span} span - a new Span object
   */
   startSpan (operationName, options = {}) {
     assert(typeof operationName === 'string', 'operationName is required')
 
-    let spanContext
+    const startTime = options.startTime === undefined ? Date.now() : options.startTime
+    // Durations of spans started now are measured with the monotonic clock
+    const hrStartTime = options.startTime === undefined ? process.hrtime() : undefined
+    let parentReference
+    let parentServiceKey
+    let traceId
+    let parentSpanId
+    let samplingDecision
+    let childOf = options.childOf
+    let references = options.references || []
+
+    // Default to the active span as parent
+    if (!childOf && !references.length && !options.ignoreActiveSpan) {
+      childOf = this.activeSpan()
+    }
 
     // Handle options.childOf
-    if (options.childOf) {
-      const childOf = new Reference(REFERENCE_CHILD_OF, options.childOf)
+    if (childOf) {
+      parentReference = new Reference(REFERENCE_CHILD_OF, childOf)
+      // The options are not modified, callers can reuse them
+      references = references.concat(parentReference)
+    } else {
+      parentReference = references.find((reference) =>
+        [REFERENCE_CHILD_OF, REFERENCE_FOLLOWS_FROM].includes(reference.type()))
+    }
 
-      if (options.references) {
-        options.references.push(childOf)
-      } else {
-        options.references = [childOf]
+    if (parentReference) {
+      const parentSpanContext = parentReference.referencedContext()
+      parentServiceKey = parentSpanContext._serviceKey
+      traceId = parentSpanContext._traceId
+      parentSpanId = parentSpanContext._spanId
+
+      if (parentSpanContext._sampled !== undefined) {
+        samplingDecision = {
+          sampled: parentSpanContext._sampled,
+          rate: parentSpanContext._samplingRate
+        }
       }
+    }
 
-      const parentSpanContext = childOf.referencedContext()
-      const serviceKey = this._serviceKey
-      const parentServiceKey = parentSpanContext._serviceKey
-      const traceId = parentSpanContext._traceId
-      const spanId = undefined
-      const parentSpanId = parentSpanContext._spanId
+    if (!samplingDecision) {
+      samplingDecision = this._sampler.sample(operationName, options.tags || {})
+    }
+
+    const spanContext = new SpanContext(
+      this._serviceKey,
+      parentServiceKey,
+      traceId,
+      undefined,
+      parentSpanId,
+      startTime,
+      samplingDecision.sampled,
+      samplingDecision.rate
+    )
 
-      spanContext = new SpanContext(
-        serviceKey,
-        parentServiceKey,
-        traceId,
-        spanId,
-        parentSpanId
-      )
+    // Inherit baggage
+    const baggageReferences = references.filter((reference) => reference !== parentReference)
+
+    if (parentReference) {
+      baggageReferences.unshift(parentReference)
     }
 
-    spanContext = spanContext || new SpanContext(this._serviceKey)
+    baggageReferences.forEach((reference) => {
+      const referencedContext = reference.referencedContext()
+
+      Object.entries(referencedContext._baggage || {})
+        .filter(([key]) => spanContext.getBaggageItem(key) === undefined)
+        .forEach(([key, value]) => spanContext.setBaggageItem(key, value))
+    })
 
     return new Span(
       this,
       operationName,
       spanContext,
       options.tags,
-      options.startTime,
-      options.references
+      startTime,
+      references,
+      parentReference && parentReference.type(),
+      hrStartTime
     )
   }
 
   /**
   * @method extract
   * @param {String} format - the format of the carrier
-  * @param {*} carrier - the type of the carrier object is determined by the format
+  * @param {*} carrier - the type of the carrier object is determined by the format,
+  *        FORMAT_HTTP_HEADERS carriers are normalized by HeadersCarrier for the built-in propagators,
+  *        custom propagators get the carrier as is
   * @returns {SpanContext|null} - The extracted SpanContext, or null if no such SpanContext could
   *           be found in carrier
   */
-  // eslint-disable-next-line class-methods-use-this
   extract (format, carrier) {
-    assert(format, [FORMAT_BINARY, FORMAT_TEXT_MAP, FORMAT_HTTP_HEADERS].includes(format), 'Invalid type')
-    assert(typeof carrier === 'object', 'carrier is required')
-
-    if (format === FORMAT_BINARY) {
-      // TODO: log
-    } else {
-      const tmpServiceKeys = (carrier[Tracer.CARRIER_KEY_SERVICE_KEYS] || '').split(':')
-      const tmpSpanKeys = (carrier[Tracer.CARRIER_KEY_SPAN_IDS] || '').split(':')
+    assert(this._propagators[format], 'Invalid format')
+    assert(carrier && typeof carrier === 'object', 'carrier is required')
 
-      const serviceKey = tmpServiceKeys.shift()
-      const parentServiceKey = tmpServiceKeys.shift() || undefined
-      const traceId = carrier[Tracer.CARRIER_KEY_TRACE_ID]
-      const spanId = tmpSpanKeys.shift()
-      const parentSpanId = tmpSpanKeys.shift() || undefined
+    let normalizedCarrier
 
-      if (!serviceKey || !traceId || !spanId) {
-        return null
+    return this._propagators[format].reduce((spanContext, propagator) => {
+      if (spanContext) {
+        return spanContext
       }
 
-      return new SpanContext(
-        serviceKey,
-        parentServiceKey,
-        traceId,
-        spanId,
-        parentSpanId
-      )
-    }
+      if (format === FORMAT_HTTP_HEADERS &&
+        HEADERS_CARRIER_PROPAGATORS.some((BuiltInPropagator) => propagator instanceof BuiltInPropagator)) {
+        normalizedCarrier = normalizedCarrier || HeadersCarrier.normalize(carrier)
+        return propagator.extract(normalizedCarrier)
+      }
 
-    return null
+      return propagator.extract(carrier)
+    }, null)
   }
 
   /**
@@ -139,38 +432,29 @@ class Tracer {
   * @param {String} format - the format of the carrier
   * @param {*} carrier - the type of the carrier object is determined by the format
   */
-  // eslint-disable-next-line class-methods-use-this
   inject (spanContext, format, carrier) {
     assert(spanContext, 'spanContext is required')
-    assert(format, [FORMAT_BINARY, FORMAT_TEXT_MAP, FORMAT_HTTP_HEADERS].includes(format), 'Invalid type')
-    assert(typeof carrier === 'object', 'carrier is required')
+    assert(this._propagators[format], 'Invalid format')
+    assert(carrier && typeof carrier === 'object', 'carrier is required')
 
     const injectedContext = spanContext instanceof Span ?
       spanContext.context() : spanContext
 
-    if (format === FORMAT_BINARY) {
-      // TODO: log not implemented
-    } else {
-      let serviceKeysStr = injectedContext._serviceKey
-      if (injectedContext.parentServiceKey()) {
-        serviceKeysStr += `:${injectedContext.parentServiceKey()}`
-      }
-
-      let spanIdsStr = injectedContext._spanId
-      if (injectedContext._parentSpanId) {
-        spanIdsStr += `:${injectedContext._parentSpanId}`
-      }
-
-      carrier[Tracer.CARRIER_KEY_SERVICE_KEYS] = serviceKeysStr
-      carrier[Tracer.CARRIER_KEY_TRACE_ID] = injectedContext._traceId
-      carrier[Tracer.CARRIER_KEY_SPAN_IDS] = spanIdsStr
-    }
+    this._propagators[format].forEach((propagator) => propagator.inject(injectedContext, carrier))
   }
 }
 
-Tracer.CARRIER_KEY_SERVICE_KEYS = CARRIER_KEY_SERVICE_KEYS
-Tracer.CARRIER_KEY_TRACE_ID = CARRIER_KEY_TRACE_ID
-Tracer.CARRIER_KEY_SPAN_IDS = CARRIER_KEY_SPAN_IDS
+Tracer.CARRIER_KEY_SERVICE_KEYS = TextMapPropagator.CARRIER_KEY_SERVICE_KEYS
+Tracer.CARRIER_KEY_TRACE_ID = TextMapPropagator.CARRIER_KEY_TRACE_ID
+Tracer.CARRIER_KEY_SPAN_IDS = TextMapPropagator.CARRIER_KEY_SPAN_IDS
+Tracer.CARRIER_KEY_START_TIME = TextMapPropagator.CARRIER_KEY_START_TIME
+Tracer.CARRIER_KEY_SAMPLED = TextMapPropagator.CARRIER_KEY_SAMPLED
+Tracer.CARRIER_KEY_SAMPLING_RATE = TextMapPropagator.CARRIER_KEY_SAMPLING_RATE
+Tracer.CARRIER_KEY_BAGGAGE_PREFIX = TextMapPropagator.CARRIER_KEY_BAGGAGE_PREFIX
+Tracer.PROPAGATION_METRICS_TRACER = PROPAGATION_METRICS_TRACER
+Tracer.PROPAGATION_W3C = PROPAGATION_W3C
+Tracer.PROPAGATION_B3 = PROPAGATION_B3
+Tracer.PROPAGATION_B3_SINGLE = PROPAGATION_B3_SINGLE
 
 /**
 * Extends the original opentracing API
@@ -178,13 +462,198 @@ Tracer.CARRIER_KEY_SPAN_IDS = CARRIER_KEY_SPAN_IDS
 * @extends Tracer
 */
 class MetricsTracer extends Tracer {
+  /**
+  * @constructor
+  * @param {String} serviceKey
+  * @param {Array} reporters
+  * @param {Object} [options={}] - see Tracer
+  * @param {Function} [options.onDiagnostic] - called with { type, span, method } on misuse like
+  *        duplicate finish (DIAGNOSTIC_DUPLICATE_FINISH) or mutation after finish (DIAGNOSTIC_MUTATION_AFTER_FINISH)
+  * @param {Number} [options.stuckSpanThreshold] - in milliseconds, spans open longer are reported as stuck once
+  * @param {Number} [options.stuckSpanCheckInterval=options.stuckSpanThreshold] - in milliseconds
+  * @param {Function} [options.onStuckSpan] - called with the stuck span
+  * @returns {MetricsTracer}
+  */
+  constructor (serviceKey, reporters = [], options = {}) {
+    super(serviceKey, reporters, options)
+
+    const {
+      onDiagnostic,
+      stuckSpanThreshold,
+      stuckSpanCheckInterval = stuckSpanThreshold,
+      onStuckSpan
+    } = options
+
+    assert(onDiagnostic === undefined || typeof onDiagnostic === 'function', 'onDiagnostic must be a function')
+    assert(stuckSpanThreshold === undefined || stuckSpanThreshold > 0, 'stuckSpanThreshold must be positive')
+    assert(stuckSpanCheckInterval === undefined || stuckSpanCheckInterval > 0,
+      'stuckSpanCheckInterval must be positive')
+    assert(onStuckSpan === undefined || typeof onStuckSpan === 'function', 'onStuckSpan must be a function')
+
+    this._onDiagnostic = onDiagnostic
+    this._onStuckSpan = onStuckSpan
+    this._stuckSpanThreshold = stuckSpanThreshold
+    // Open spans are only tracked for the stuck span detection, as never finished spans would leak
+    this._openSpans = stuckSpanThreshold ? new Set() : undefined
+    this._stuckSpans = new WeakSet()
+    this._stuckSpanTimer = undefined
+
+    if (stuckSpanThreshold) {
+      this._stuckSpanTimer = setInterval(() => this.checkStuckSpans(), stuckSpanCheckInterval)
+      // Don't keep the process alive
+      if (this._stuckSpanTimer.unref) {
+        this._stuckSpanTimer.unref()
+      }
+    }
+  }
+
+  /**
+  * Stops the stuck span detection
+  * @method close
+  */
+  close () {
+    clearInterval(this._stuckSpanTimer)
+    this._stuckSpanTimer = undefined
+  }
+
+  /**
+  * Returns the started but not finished spans, they are only tracked with stuckSpanThreshold
+  * @method openSpans
+  * @returns {Array} spans - empty without stuckSpanThreshold
+  */
+  openSpans () {
+    return this._openSpans ? Array.from(this._openSpans) : []
+  }
+
+  /**
+  * Reports spans open longer than the stuck span threshold, every span is reported once
+  * @method checkStuckSpans
+  * @param {Number} [now=Date.now()] - in milliseconds as a Unix timestamp
+  */
+  checkStuckSpans (now = Date.now()) {
+    if (!this._stuckSpanThreshold) {
+      return
+    }
+
+    this._openSpans.forEach((span) => {
+      if (this._stuckSpans.has(span) || now - span._startTime < this._stuckSpanThreshold) {
+        return
+      }
+
+      this._stuckSpans.add(span)
+      this.reportStuck(span)
+    })
+  }
+
+  /**
+  * Starts a span and reports it to the reporters
+  * @method startSpan
+  * @param {String} operationName
+  * @param {Object} [options] - see Tracer#startSpan
+  * @returns {Span}
+  */
+  startSpan (operationName, options) {
+    const span = super.startSpan(operationName, options)
+
+    // Unsampled spans are tracked only when a reporter reports them
+    if (this._openSpans && (span.context().sampled() !== false || this._spanReporters(span).length)) {
+      this._openSpans.add(span)
+    }
+
+    this.reportStart(span)
+
+    return span
+  }
+
+  /**
+  * Reporters implementing reportStart are called
+  * @method reportStart
+  * @param {Span} span
+  */
+  reportStart (span) {
+    this._spanReporters(span)
+      .filter((reporter) => typeof reporter.reportStart === 'function')
+      .forEach((reporter) => reporter.reportStart(span))
+  }
+
   /**
   * @method reportFinish
   * @param {Span} span
   */
   reportFinish (span) {
-    this._reporters.forEach((reporter) => reporter.reportFinish(span))
+    if (this._openSpans) {
+      this._openSpans.delete(span)
+    }
+
+    this._spanReporters(span).forEach((reporter) => reporter.reportFinish(span))
+  }
+
+  /**
+  * Reporters implementing reportStuck are called
+  * @method reportStuck
+  * @param {Span} span
+  */
+  reportStuck (span) {
+    if (this._onStuckSpan) {
+      this._onStuckSpan(span)
+    }
+
+    this._spanReporters(span)
+      .filter((reporter) => typeof reporter.reportStuck === 'function')
+      .forEach((reporter) => reporter.reportStuck(span))
+  }
+
+  /**
+  * Called by Span when it's finished again, the span is reported only once
+  * @method reportDuplicateFinish
+  * @param {Span} span
+  */
+  reportDuplicateFinish (span) {
+    this._reportDiagnostic(DIAGNOSTIC_DUPLICATE_FINISH, span)
+  }
+
+  /**
+  * Called by Span when it's mutated after finish, the mutation is ignored
+  * @method reportMutationAfterFinish
+  * @param {Span} span
+  * @param {String} method - name of the mutating method
+  */
+  reportMutationAfterFinish (span, method) {
+    this._reportDiagnostic(DIAGNOSTIC_MUTATION_AFTER_FINISH, span, method)
+  }
+
+  /**
+  * Reporters of the span, unsampled spans are only reported to reporters
+  * implementing reportsUnsampled and returning true
+  * @method _spanReporters
+  * @private
+  * @param {Span} span
+  * @returns {Array} reporters
+  */
+  _spanReporters (span) {
+    if (span.context().sampled() !== false) {
+      return this._reporters
+    }
+
+    return this._reporters
+      .filter((reporter) => typeof reporter.reportsUnsampled === 'function' && reporter.reportsUnsampled())
+  }
+
+  /**
+  * @method _reportDiagnostic
+  * @private
+  * @param {String} type
+  * @param {Span} span
+  * @param {String} [method]
+  */
+  _reportDiagnostic (type, span, method) {
+    if (this._onDiagnostic) {
+      this._onDiagnostic({ type, span, method })
+    }
   }
 }
 
+MetricsTracer.DIAGNOSTIC_DUPLICATE_FINISH = DIAGNOSTIC_DUPLICATE_FINISH
+MetricsTracer.DIAGNOSTIC_MUTATION_AFTER_FINISH = DIAGNOSTIC_MUTATION_AFTER_FINISH
+
 module.exports = MetricsTracer
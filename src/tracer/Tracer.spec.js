@@ -1,10 +1,22 @@
 'use strict'
 
+const sinon = require('sinon')
 const { expect } = require('chai')
-const { FORMAT_HTTP_HEADERS, FORMAT_BINARY } = require('opentracing')
+const {
+  Tags,
+  FORMAT_HTTP_HEADERS,
+  FORMAT_TEXT_MAP,
+  FORMAT_BINARY,
+  REFERENCE_CHILD_OF,
+  REFERENCE_FOLLOWS_FROM
+} = require('opentracing')
+const Reference = require('./Reference')
+const ScopeManager = require('./ScopeManager')
 const Span = require('./Span')
 const SpanContext = require('./SpanContext')
 const Tracer = require('./Tracer')
+const { Propagator, TextMapPropagator, W3CPropagator } = require('./propagation')
+const { ConstSampler, ProbabilisticSampler } = require('./samplers')
 
 describe('tracer/Tracer', () => {
   describe('#constructor', () => {
@@ -14,6 +26,93 @@ describe('tracer/Tracer', () => {
       expect(tracer._serviceKey).to.be.equal('service-key')
       expect(tracer._reporters).to.be.eql(['reporter'])
     })
+
+    it('should reject invalid onDiagnostic', () => {
+      expect(() => new Tracer('service-key', [], { onDiagnostic: 'invalid' }))
+        .to.throw('onDiagnostic must be a function')
+    })
+
+    it('should reject invalid stuckSpanThreshold', () => {
+      expect(() => new Tracer('service-key', [], { stuckSpanThreshold: -1 }))
+        .to.throw('stuckSpanThreshold must be positive')
+    })
+
+    it('should reject invalid sampler', () => {
+      expect(() => new Tracer('service-key', [], { sampler: {} })).to.throw('sampler must implement sample')
+    })
+
+    it('should reject invalid scopeManager', () => {
+      expect(() => new Tracer('service-key', [], { scopeManager: {} }))
+        .to.throw('scopeManager must implement active and withSpan')
+    })
+
+    it('should reject invalid propagation', () => {
+      expect(() => new Tracer('service-key', [], { propagation: 'invalid' })).to.throw('Invalid propagation')
+    })
+
+    it('should replace default propagators of a format', () => {
+      const propagator = new W3CPropagator()
+      const tracer = new Tracer('service-key', [], {
+        propagators: {
+          [FORMAT_HTTP_HEADERS]: [propagator]
+        }
+      })
+
+      expect(tracer._propagators[FORMAT_HTTP_HEADERS]).to.be.eql([propagator])
+      expect(tracer._propagators[FORMAT_TEXT_MAP]).to.have.lengthOf(1)
+      expect(tracer._propagators[FORMAT_TEXT_MAP][0]).to.be.instanceof(TextMapPropagator)
+    })
+  })
+
+  describe('#registerPropagator', () => {
+    it('should register propagator with custom format', function () {
+      const propagator = new Propagator()
+      const tracer = new Tracer('service-key')
+      const span = tracer.startSpan('my-operation')
+      const carrier = {}
+
+      this.sandbox.spy(propagator, 'inject')
+      this.sandbox.stub(propagator, 'extract').returns(span.context())
+
+      tracer.registerPropagator('my-format', propagator)
+      tracer.inject(span, 'my-format', carrier)
+
+      expect(propagator.inject).to.be.calledWith(span.context(), carrier)
+      expect(tracer.extract('my-format', carrier)).to.be.equal(span.context())
+    })
+
+    it('should inject all propagators of the format', () => {
+      const tracer = new Tracer('service-key')
+      const span = tracer.startSpan('my-operation')
+      const carrier = {}
+
+      tracer.registerPropagator(FORMAT_HTTP_HEADERS, new W3CPropagator())
+      tracer.inject(span, FORMAT_HTTP_HEADERS, carrier)
+
+      expect(carrier).to.include.all.keys([Tracer.CARRIER_KEY_TRACE_ID, 'traceparent'])
+    })
+
+    it('should extract with the first matching propagator', () => {
+      const tracer = new Tracer('service-key', [], {
+        propagators: {
+          [FORMAT_HTTP_HEADERS]: [new Propagator(), new W3CPropagator(), new TextMapPropagator()]
+        }
+      })
+      const span = tracer.startSpan('my-operation')
+      const carrier = {}
+
+      new TextMapPropagator().inject(span.context(), carrier)
+      new W3CPropagator().inject(new SpanContext('service-w3c'), carrier)
+
+      expect(tracer.extract(FORMAT_HTTP_HEADERS, carrier)._serviceKey).to.be.equal('service-w3c')
+    })
+
+    it('should reject invalid propagator', () => {
+      const tracer = new Tracer('service-key')
+
+      expect(() => tracer.registerPropagator('my-format', {}))
+        .to.throw('propagator must implement inject and extract')
+    })
   })
 
   describe('#startSpan', () => {
@@ -60,6 +159,475 @@ describe('tracer/Tracer', () => {
       expect(spanContext._spanId).to.be.not.equal(parentSpanContext._spanId)
       expect(spanContext._parentSpanId).to.be.equal(parentSpanContext._spanId)
     })
+
+    it('should start a span with a FOLLOWS_FROM reference', () => {
+      const tracer1 = new Tracer('service-1')
+      const parentSpanContext = new SpanContext('service-1')
+      const parentSpan = new Span(tracer1, 'operation', parentSpanContext)
+
+      const tracer2 = new Tracer('service-2')
+      const span = tracer2.startSpan('my-operation', {
+        references: [
+          new Reference(REFERENCE_FOLLOWS_FROM, parentSpan)
+        ]
+      })
+      const spanContext = span.context()
+
+      expect(spanContext._parentServiceKey).to.be.equal(parentSpanContext._serviceKey)
+      expect(spanContext._traceId).to.be.equal(parentSpanContext._traceId)
+      expect(spanContext._parentSpanId).to.be.equal(parentSpanContext._spanId)
+      expect(span.referenceType()).to.be.equal(REFERENCE_FOLLOWS_FROM)
+    })
+
+    it('should derive the span context from the first reference', () => {
+      const tracer = new Tracer('service-key')
+      const parentSpan1 = tracer.startSpan('parent-operation')
+      const parentSpan2 = tracer.startSpan('parent-operation')
+
+      const span = tracer.startSpan('my-operation', {
+        references: [
+          new Reference(REFERENCE_CHILD_OF, parentSpan1),
+          new Reference(REFERENCE_FOLLOWS_FROM, parentSpan2)
+        ]
+      })
+
+      expect(span.context()._parentSpanId).to.be.equal(parentSpan1.context()._spanId)
+      expect(span.referenceType()).to.be.equal(REFERENCE_CHILD_OF)
+    })
+
+    it('should derive the span context from options.childOf over options.references', () => {
+      const tracer = new Tracer('service-key')
+      const parentSpan1 = tracer.startSpan('parent-operation')
+      const parentSpan2 = tracer.startSpan('parent-operation')
+
+      const span = tracer.startSpan('my-operation', {
+        childOf: parentSpan2,
+        references: [
+          new Reference(REFERENCE_FOLLOWS_FROM, parentSpan1)
+        ]
+      })
+
+      expect(span.context()._parentSpanId).to.be.equal(parentSpan2.context()._spanId)
+      expect(span.referenceType()).to.be.equal(REFERENCE_CHILD_OF)
+    })
+
+    it('should not have reference type without references', () => {
+      const tracer = new Tracer('service-key')
+      const span = tracer.startSpan('my-operation')
+
+      expect(span.context()._parentServiceKey).to.be.equal(undefined)
+      expect(span.referenceType()).to.be.equal(undefined)
+    })
+
+    it('should sample with the sampler', function () {
+      const sampler = new ProbabilisticSampler(0.1)
+      this.sandbox.stub(sampler, 'sample').returns({ sampled: false, rate: 0.1 })
+
+      const tracer = new Tracer('service-key', [], { sampler })
+      const span = tracer.startSpan('my-operation', {
+        tags: { tenant: 'acme' }
+      })
+
+      expect(sampler.sample).to.be.calledWith('my-operation', { tenant: 'acme' })
+      expect(span.context().sampled()).to.be.equal(false)
+      expect(span.context().samplingRate()).to.be.equal(0.1)
+    })
+
+    it('should inherit the sampling decision of the parent', function () {
+      const tracer1 = new Tracer('service-1', [], { sampler: new ProbabilisticSampler(0.5) })
+      this.sandbox.stub(Math, 'random').returns(0.1)
+      const parentSpan = tracer1.startSpan('parent-operation')
+      const carrier = {}
+
+      tracer1.inject(parentSpan, FORMAT_TEXT_MAP, carrier)
+
+      const tracer2 = new Tracer('service-2', [], { sampler: new ConstSampler(false) })
+      const span = tracer2.startSpan('my-operation', {
+        childOf: tracer2.extract(FORMAT_TEXT_MAP, carrier)
+      })
+
+      expect(span.context().sampled()).to.be.equal(true)
+      expect(span.context().samplingRate()).to.be.equal(0.5)
+    })
+
+    it('should sample when the parent has no sampling decision', () => {
+      const tracer = new Tracer('service-key', [], { sampler: new ConstSampler(false) })
+      const span = tracer.startSpan('my-operation', {
+        childOf: new SpanContext('service-1')
+      })
+
+      expect(span.context().sampled()).to.be.equal(false)
+    })
+
+    it('should start a span with the active span as parent', () => {
+      const tracer = new Tracer('service-key')
+      const parentSpan = tracer.startSpan('parent-operation')
+
+      const span = tracer.withSpan(parentSpan, () => tracer.startSpan('my-operation'))
+
+      expect(span.context()._traceId).to.be.equal(parentSpan.context()._traceId)
+      expect(span.context()._parentSpanId).to.be.equal(parentSpan.context()._spanId)
+      expect(span.referenceType()).to.be.equal(REFERENCE_CHILD_OF)
+    })
+
+    it('should prefer options.childOf and options.references over the active span', () => {
+      const tracer = new Tracer('service-key')
+      const activeSpan = tracer.startSpan('active-operation')
+      const parentSpan = tracer.startSpan('parent-operation')
+
+      tracer.withSpan(activeSpan, () => {
+        const span1 = tracer.startSpan('my-operation', { childOf: parentSpan })
+        const span2 = tracer.startSpan('my-operation', {
+          references: [new Reference(REFERENCE_FOLLOWS_FROM, parentSpan)]
+        })
+
+        expect(span1.context()._parentSpanId).to.be.equal(parentSpan.context()._spanId)
+        expect(span2.context()._parentSpanId).to.be.equal(parentSpan.context()._spanId)
+        expect(span2.references()).to.have.lengthOf(1)
+      })
+    })
+
+    it('should ignore the active span with options.ignoreActiveSpan', () => {
+      const tracer = new Tracer('service-key')
+      const parentSpan = tracer.startSpan('parent-operation')
+
+      const span = tracer.withSpan(parentSpan, () => tracer.startSpan('my-operation', { ignoreActiveSpan: true }))
+
+      expect(span.context()._traceId).to.be.not.equal(parentSpan.context()._traceId)
+      expect(span.context()._parentSpanId).to.be.equal(undefined)
+    })
+
+    it('should not modify the options', () => {
+      const tracer = new Tracer('service-key')
+      const parentSpan = tracer.startSpan('parent-operation')
+      const options = { tags: {} }
+
+      tracer.withSpan(parentSpan, () => tracer.startSpan('my-operation', options))
+      const span = tracer.startSpan('my-operation', options)
+
+      expect(options).to.be.eql({ tags: {} })
+      expect(span.context()._parentSpanId).to.be.equal(undefined)
+    })
+
+    it('should inherit baggage from options.childOf', () => {
+      const tracer = new Tracer('service-key')
+      const parentSpan = tracer.startSpan('parent-operation')
+      parentSpan.setBaggageItem('tenant', 'acme')
+
+      const span = tracer.startSpan('my-operation', {
+        childOf: parentSpan
+      })
+
+      expect(span.getBaggageItem('tenant')).to.be.equal('acme')
+    })
+
+    it('should copy baggage to the child', () => {
+      const tracer = new Tracer('service-key')
+      const parentSpan = tracer.startSpan('parent-operation')
+      parentSpan.setBaggageItem('tenant', 'acme')
+
+      const span = tracer.startSpan('my-operation', {
+        childOf: parentSpan
+      })
+      span.setBaggageItem('tenant', 'other')
+      span.setBaggageItem('feature', 'on')
+
+      expect(parentSpan.getBaggageItem('tenant')).to.be.equal('acme')
+      expect(parentSpan.getBaggageItem('feature')).to.be.equal(undefined)
+    })
+
+    it('should inherit baggage from options.references', () => {
+      const tracer = new Tracer('service-key')
+      const parentSpan1 = tracer.startSpan('parent-operation')
+      parentSpan1.setBaggageItem('tenant', 'acme')
+      const parentSpan2 = tracer.startSpan('parent-operation')
+      parentSpan2.setBaggageItem('feature', 'on')
+
+      const span = tracer.startSpan('my-operation', {
+        references: [
+          new Reference(REFERENCE_FOLLOWS_FROM, parentSpan1),
+          new Reference(REFERENCE_FOLLOWS_FROM, parentSpan2)
+        ]
+      })
+
+      expect(span.context()._baggage).to.be.eql({
+        tenant: 'acme',
+        feature: 'on'
+      })
+    })
+
+    it('should resolve conflicting baggage by the first reference', () => {
+      const tracer = new Tracer('service-key')
+      const parentSpan1 = tracer.startSpan('parent-operation')
+      parentSpan1.setBaggageItem('tenant', 'acme')
+      const parentSpan2 = tracer.startSpan('parent-operation')
+      parentSpan2.setBaggageItem('tenant', 'other')
+
+      const span = tracer.startSpan('my-operation', {
+        references: [
+          new Reference(REFERENCE_FOLLOWS_FROM, parentSpan1),
+          new Reference(REFERENCE_FOLLOWS_FROM, parentSpan2)
+        ]
+      })
+
+      expect(span.getBaggageItem('tenant')).to.be.equal('acme')
+    })
+
+    it('should resolve conflicting baggage by options.childOf', () => {
+      const tracer = new Tracer('service-key')
+      const parentSpan1 = tracer.startSpan('parent-operation')
+      parentSpan1.setBaggageItem('tenant', 'acme')
+      parentSpan1.setBaggageItem('feature', 'on')
+      const parentSpan2 = tracer.startSpan('parent-operation')
+      parentSpan2.setBaggageItem('tenant', 'other')
+
+      const span = tracer.startSpan('my-operation', {
+        childOf: parentSpan2,
+        references: [
+          new Reference(REFERENCE_FOLLOWS_FROM, parentSpan1)
+        ]
+      })
+
+      expect(span.context()._baggage).to.be.eql({
+        tenant: 'other',
+        feature: 'on'
+      })
+    })
+  })
+
+  describe('#withSpan', () => {
+    it('should activate the span', () => {
+      const tracer = new Tracer('service-key')
+      const span = tracer.startSpan('my-operation')
+
+      expect(tracer.activeSpan()).to.be.equal(null)
+      expect(tracer.withSpan(span, () => tracer.activeSpan())).to.be.equal(span)
+      expect(tracer.activeSpan()).to.be.equal(null)
+    })
+
+    it('should keep the span active in asynchronous continuations', function () {
+      if (!ScopeManager.IS_ASYNC_SUPPORTED) {
+        this.skip()
+      }
+
+      const tracer = new Tracer('service-key')
+      const parentSpan = tracer.startSpan('parent-operation')
+
+      return tracer.withSpan(parentSpan, () => new Promise((resolve) => setImmediate(resolve))
+        .then(() => tracer.startSpan('my-operation')))
+        .then((span) => {
+          expect(span.context()._parentSpanId).to.be.equal(parentSpan.context()._spanId)
+        })
+    })
+
+    it('should share the active span with a shared scope manager', () => {
+      const scopeManager = new ScopeManager()
+      const tracer1 = new Tracer('service-1', [], { scopeManager })
+      const tracer2 = new Tracer('service-2', [], { scopeManager })
+      const span = tracer1.startSpan('my-operation')
+
+      expect(tracer1.withSpan(span, () => tracer2.activeSpan())).to.be.equal(span)
+    })
+  })
+
+  describe('#trace', () => {
+    let reporter
+    let tracer
+
+    beforeEach(function () {
+      reporter = {
+        reportFinish: this.sandbox.spy()
+      }
+      tracer = new Tracer('service-key', [reporter])
+    })
+
+    it('should trace a synchronous function', () => {
+      const result = tracer.trace('my-operation', { tags: { tenant: 'acme' } }, (span) => {
+        expect(tracer.activeSpan()).to.be.equal(span)
+        expect(span.getTag('tenant')).to.be.equal('acme')
+        return 'result'
+      })
+
+      expect(result).to.be.equal('result')
+      expect(reporter.reportFinish).to.have.callCount(1)
+      expect(reporter.reportFinish.firstCall.args[0].operationName()).to.be.equal('my-operation')
+      expect(reporter.reportFinish.firstCall.args[0].getTag(Tags.ERROR)).to.be.equal(undefined)
+    })
+
+    it('should tag and log thrown errors', () => {
+      const err = new Error('failed')
+
+      expect(() => tracer.trace('my-operation', () => {
+        throw err
+      })).to.throw(err)
+
+      const span = reporter.reportFinish.firstCall.args[0]
+
+      expect(reporter.reportFinish).to.have.callCount(1)
+      expect(span.getTag(Tags.ERROR)).to.be.equal(true)
+      expect(span._logs[0].data).to.be.eql({
+        event: 'error',
+        'error.object': err,
+        message: 'failed',
+        stack: err.stack
+      })
+    })
+
+    it('should finish the span when the promise resolves', () => {
+      const promise = tracer.trace('my-operation', () => Promise.resolve('result'))
+
+      expect(reporter.reportFinish).to.have.callCount(0)
+
+      return promise.then((result) => {
+        expect(result).to.be.equal('result')
+        expect(reporter.reportFinish).to.have.callCount(1)
+      })
+    })
+
+    it('should tag the span when the promise rejects', () => {
+      const err = new Error('failed')
+
+      return tracer.trace('my-operation', () => Promise.reject(err))
+        .then(() => {
+          throw new Error('should reject')
+        }, (rejection) => {
+          expect(rejection).to.be.equal(err)
+          expect(reporter.reportFinish).to.have.callCount(1)
+          expect(reporter.reportFinish.firstCall.args[0].getTag(Tags.ERROR)).to.be.equal(true)
+        })
+    })
+
+    it('should trace a callback-style function and finish once', (done) => {
+      const err = new Error('failed')
+
+      tracer.trace('my-operation', (span, callback) => {
+        setImmediate(() => {
+          callback(err)
+          callback()
+
+          expect(reporter.reportFinish).to.have.callCount(1)
+          expect(reporter.reportFinish.firstCall.args[0].getTag(Tags.ERROR)).to.be.equal(true)
+          done()
+        })
+      })
+
+      expect(reporter.reportFinish).to.have.callCount(0)
+    })
+
+    it('should start nested spans as children', () => {
+      tracer.trace('parent-operation', (parentSpan) => {
+        tracer.trace('my-operation', (span) => {
+          expect(span.context()._parentSpanId).to.be.equal(parentSpan.context()._spanId)
+        })
+      })
+
+      expect(reporter.reportFinish).to.have.callCount(2)
+    })
+
+    it('should validate fn', () => {
+      expect(() => tracer.trace('my-operation', {})).to.throw('fn is required')
+    })
+  })
+
+  describe('#wrap', () => {
+    let reporter
+    let tracer
+
+    beforeEach(function () {
+      reporter = {
+        reportFinish: this.sandbox.spy()
+      }
+      tracer = new Tracer('service-key', [reporter])
+    })
+
+    it('should wrap a synchronous function', () => {
+      const object = {
+        value: 2,
+        multiply: tracer.wrap('multiply', function (factor) {
+          return this.value * factor
+        })
+      }
+
+      expect(object.multiply(3)).to.be.equal(6)
+      expect(reporter.reportFinish).to.have.callCount(1)
+      expect(reporter.reportFinish.firstCall.args[0].operationName()).to.be.equal('multiply')
+    })
+
+    it('should wrap a promise-returning function', () => {
+      const wrapped = tracer.wrap('my-operation', { tags: { tenant: 'acme' } }, (value) => Promise.resolve(value))
+
+      return wrapped('result')
+        .then((result) => {
+          expect(result).to.be.equal('result')
+          expect(reporter.reportFinish).to.have.callCount(1)
+          expect(reporter.reportFinish.firstCall.args[0].getTag('tenant')).to.be.equal('acme')
+        })
+    })
+
+    it('should not tag later calls after an error with shared tags', () => {
+      const wrapped = tracer.wrap('my-operation', { tags: { tenant: 'acme' } }, (shouldThrow) => {
+        if (shouldThrow) {
+          throw new Error('failed')
+        }
+      })
+
+      expect(() => wrapped(true)).to.throw('failed')
+      wrapped(false)
+      wrapped(false)
+
+      const spans = reporter.reportFinish.args.map(([span]) => span)
+
+      expect(spans.map((span) => span.getTag(Tags.ERROR))).to.be.eql([true, undefined, undefined])
+      expect(spans.map((span) => span.getTag('tenant'))).to.be.eql(['acme', 'acme', 'acme'])
+    })
+
+    it('should pass function arguments through', () => {
+      const wrapped = tracer.wrap('map', (items, mapper) => items.map(mapper))
+
+      expect(wrapped([1, 2], (item) => item * 2)).to.be.eql([2, 4])
+      expect(reporter.reportFinish).to.have.callCount(1)
+      expect(reporter.reportFinish.firstCall.args[0].getTag(Tags.ERROR)).to.be.equal(undefined)
+    })
+
+    it('should validate fn', () => {
+      expect(() => tracer.wrap('my-operation')).to.throw('fn is required')
+    })
+  })
+
+  describe('#wrapCallback', () => {
+    let reporter
+    let tracer
+
+    beforeEach(function () {
+      reporter = {
+        reportFinish: this.sandbox.spy()
+      }
+      tracer = new Tracer('service-key', [reporter])
+    })
+
+    it('should wrap a callback-style function', (done) => {
+      const err = new Error('failed')
+      const callerSpan = tracer.startSpan('caller-operation')
+      const wrapped = tracer.wrapCallback('my-operation', (value, callback) => {
+        setImmediate(() => callback(err, value))
+      })
+
+      tracer.withSpan(callerSpan, () => {
+        wrapped('result', (callbackErr, result) => {
+          expect(callbackErr).to.be.equal(err)
+          expect(result).to.be.equal('result')
+          expect(tracer.activeSpan()).to.be.equal(callerSpan)
+          expect(reporter.reportFinish).to.have.callCount(1)
+          expect(reporter.reportFinish.firstCall.args[0].getTag(Tags.ERROR)).to.be.equal(true)
+          done()
+        })
+      })
+    })
+
+    it('should validate fn and callback', () => {
+      expect(() => tracer.wrapCallback('my-operation')).to.throw('fn is required')
+      expect(() => tracer.wrapCallback('my-operation', () => {})('value')).to.throw('callback is required')
+    })
   })
 
   describe('#inject', () => {
@@ -74,7 +642,10 @@ describe('tracer/Tracer', () => {
       expect(carrier).to.be.eql({
         [Tracer.CARRIER_KEY_SERVICE_KEYS]: spanContext._serviceKey,
         [Tracer.CARRIER_KEY_TRACE_ID]: spanContext._traceId,
-        [Tracer.CARRIER_KEY_SPAN_IDS]: spanContext._spanId
+        [Tracer.CARRIER_KEY_SPAN_IDS]: spanContext._spanId,
+        [Tracer.CARRIER_KEY_START_TIME]: String(spanContext.startTime()),
+        [Tracer.CARRIER_KEY_SAMPLED]: '1',
+        [Tracer.CARRIER_KEY_SAMPLING_RATE]: '1'
       })
     })
 
@@ -89,7 +660,10 @@ describe('tracer/Tracer', () => {
       expect(carrier).to.be.eql({
         [Tracer.CARRIER_KEY_SERVICE_KEYS]: spanContext._serviceKey,
         [Tracer.CARRIER_KEY_TRACE_ID]: spanContext._traceId,
-        [Tracer.CARRIER_KEY_SPAN_IDS]: spanContext._spanId
+        [Tracer.CARRIER_KEY_SPAN_IDS]: spanContext._spanId,
+        [Tracer.CARRIER_KEY_START_TIME]: String(spanContext.startTime()),
+        [Tracer.CARRIER_KEY_SAMPLED]: '1',
+        [Tracer.CARRIER_KEY_SAMPLING_RATE]: '1'
       })
     })
 
@@ -110,11 +684,37 @@ describe('tracer/Tracer', () => {
       expect(carrier).to.be.eql({
         [Tracer.CARRIER_KEY_SERVICE_KEYS]: `${spanContext._serviceKey}:${spanContext._parentServiceKey}`,
         [Tracer.CARRIER_KEY_TRACE_ID]: spanContext._traceId,
-        [Tracer.CARRIER_KEY_SPAN_IDS]: `${spanContext._spanId}:${spanContext._parentSpanId}`
+        [Tracer.CARRIER_KEY_SPAN_IDS]: `${spanContext._spanId}:${spanContext._parentSpanId}`,
+        [Tracer.CARRIER_KEY_START_TIME]: String(spanContext.startTime()),
+        [Tracer.CARRIER_KEY_SAMPLED]: '1',
+        [Tracer.CARRIER_KEY_SAMPLING_RATE]: '1'
       })
     })
 
-    it('should not inject with unsupported format', () => {
+    it('should inject baggage items', () => {
+      const tracer = new Tracer('service-key')
+      const span = tracer.startSpan('my-operation')
+      const spanContext = span.context()
+      const carrier = {}
+
+      span.setBaggageItem('tenant', 'acme')
+      span.setBaggageItem('feature flag', 'a=b;c')
+
+      tracer.inject(span, FORMAT_HTTP_HEADERS, carrier)
+
+      expect(carrier).to.be.eql({
+        [Tracer.CARRIER_KEY_SERVICE_KEYS]: spanContext._serviceKey,
+        [Tracer.CARRIER_KEY_TRACE_ID]: spanContext._traceId,
+        [Tracer.CARRIER_KEY_SPAN_IDS]: spanContext._spanId,
+        [Tracer.CARRIER_KEY_START_TIME]: String(spanContext.startTime()),
+        [Tracer.CARRIER_KEY_SAMPLED]: '1',
+        [Tracer.CARRIER_KEY_SAMPLING_RATE]: '1',
+        [`${Tracer.CARRIER_KEY_BAGGAGE_PREFIX}tenant`]: 'acme',
+        [`${Tracer.CARRIER_KEY_BAGGAGE_PREFIX}feature%20flag`]: 'a%3Db%3Bc'
+      })
+    })
+
+    it('should inject with binary format', () => {
       const tracer = new Tracer('service-key')
       const span = tracer.startSpan('my-operation')
       const spanContext = span.context()
@@ -122,7 +722,7 @@ describe('tracer/Tracer', () => {
 
       tracer.inject(spanContext, FORMAT_BINARY, carrier)
 
-      expect(carrier).to.be.eql({})
+      expect(Buffer.isBuffer(carrier.buffer)).to.be.equal(true)
     })
   })
 
@@ -139,6 +739,147 @@ describe('tracer/Tracer', () => {
       expect(spanContextExtracted).to.be.eql(spanContext)
     })
 
+    it('should extract baggage items', () => {
+      const tracer = new Tracer('service-key')
+      const span = tracer.startSpan('my-operation')
+      const carrier = {}
+
+      span.setBaggageItem('tenant', 'acme')
+      span.setBaggageItem('feature flag', 'a=b;c')
+
+      tracer.inject(span, FORMAT_TEXT_MAP, carrier)
+      const spanContextExtracted = tracer.extract(FORMAT_TEXT_MAP, carrier)
+
+      expect(spanContextExtracted._baggage).to.be.eql({
+        tenant: 'acme',
+        'feature flag': 'a=b;c'
+      })
+    })
+
+    it('should skip malformed baggage items', () => {
+      const tracer = new Tracer('service-key')
+      const span = tracer.startSpan('my-operation')
+      const carrier = {}
+
+      tracer.inject(span, FORMAT_HTTP_HEADERS, carrier)
+      carrier[`${Tracer.CARRIER_KEY_BAGGAGE_PREFIX}tenant`] = 'acme'
+      carrier[`${Tracer.CARRIER_KEY_BAGGAGE_PREFIX}broken`] = '%E0%A4%A'
+
+      const spanContextExtracted = tracer.extract(FORMAT_HTTP_HEADERS, carrier)
+
+      expect(spanContextExtracted._baggage).to.be.eql({
+        tenant: 'acme'
+      })
+    })
+
+    it('should extract SpanContext with W3C propagation', () => {
+      const tracer1 = new Tracer('service-1', [], { propagation: Tracer.PROPAGATION_W3C })
+      const tracer2 = new Tracer('service-2', [], { propagation: Tracer.PROPAGATION_W3C })
+      const parentSpan = tracer1.startSpan('parent-operation')
+      const carrier = {}
+
+      parentSpan.setBaggageItem('tenant', 'acme')
+
+      tracer1.inject(parentSpan, FORMAT_HTTP_HEADERS, carrier)
+      const span = tracer2.startSpan('my-operation', {
+        childOf: tracer2.extract(FORMAT_HTTP_HEADERS, carrier)
+      })
+
+      expect(carrier).to.have.all.keys(['traceparent', 'tracestate', 'baggage'])
+      expect(span.context().parentServiceKey()).to.be.equal('service-1')
+      expect(span.getBaggageItem('tenant')).to.be.equal('acme')
+    })
+
+    it('should inject and extract B3 alongside the native keys', () => {
+      const propagation = [Tracer.PROPAGATION_METRICS_TRACER, Tracer.PROPAGATION_B3]
+      const tracer1 = new Tracer('service-1', [], { propagation })
+      const tracer2 = new Tracer('service-2', [], { propagation })
+      const parentSpan = tracer1.startSpan('parent-operation')
+      const carrier = {}
+
+      tracer1.inject(parentSpan, FORMAT_HTTP_HEADERS, carrier)
+      const span = tracer2.startSpan('my-operation', {
+        childOf: tracer2.extract(FORMAT_HTTP_HEADERS, carrier)
+      })
+
+      expect(carrier).to.include.all.keys([Tracer.CARRIER_KEY_TRACE_ID, 'X-B3-TraceId'])
+      expect(span.context().parentServiceKey()).to.be.equal('service-1')
+      expect(span.context()._traceId).to.be.equal(parentSpan.context()._traceId)
+    })
+
+    it('should fall back to B3 without the native keys', () => {
+      const propagation = [Tracer.PROPAGATION_METRICS_TRACER, Tracer.PROPAGATION_B3_SINGLE]
+      const tracer = new Tracer('service-2', [], { propagation })
+      const spanContext = tracer.extract(FORMAT_HTTP_HEADERS, {
+        b3: '463ac35c9f6413ad48485a3953bb6124-a2fb4a1d1a96d312-1'
+      })
+
+      expect(spanContext._traceId).to.be.equal('463ac35c9f6413ad48485a3953bb6124')
+      expect(spanContext._spanId).to.be.equal('a2fb4a1d1a96d312')
+    })
+
+    it('should extract HTTP headers case-insensitively', () => {
+      const tracer = new Tracer('service-key')
+      const span = tracer.startSpan('my-operation')
+      const carrier = {}
+
+      span.setBaggageItem('tenant', 'acme')
+      tracer.inject(span, FORMAT_HTTP_HEADERS, carrier)
+
+      const capitalizedCarrier = Object.entries(carrier).reduce((headers, [key, value]) => {
+        headers[key.replace(/(^|-)([a-z])/g, (match) => match.toUpperCase())] = value
+        return headers
+      }, {})
+      const spanContextExtracted = tracer.extract(FORMAT_HTTP_HEADERS, capitalizedCarrier)
+
+      expect(spanContextExtracted).to.be.eql(span.context())
+    })
+
+    it('should extract HTTP headers from Map and rawHeaders', () => {
+      const tracer = new Tracer('service-key')
+      const span = tracer.startSpan('my-operation')
+      const carrier = {}
+
+      tracer.inject(span, FORMAT_HTTP_HEADERS, carrier)
+
+      const rawHeaders = Object.entries(carrier).reduce((headers, entry) => headers.concat(entry), [])
+
+      expect(tracer.extract(FORMAT_HTTP_HEADERS, new Map(Object.entries(carrier)))).to.be.eql(span.context())
+      expect(tracer.extract(FORMAT_HTTP_HEADERS, rawHeaders)).to.be.eql(span.context())
+    })
+
+    it('should extract the first value of comma-joined HTTP headers', () => {
+      const tracer = new Tracer('service-key')
+      const span = tracer.startSpan('my-operation')
+      const carrier = {}
+
+      tracer.inject(span, FORMAT_HTTP_HEADERS, carrier)
+      carrier[Tracer.CARRIER_KEY_TRACE_ID] += ', other-trace-id'
+
+      expect(tracer.extract(FORMAT_HTTP_HEADERS, carrier)._traceId).to.be.equal(span.context()._traceId)
+    })
+
+    it('should pass HTTP headers carriers to custom propagators as is', function () {
+      const propagator = new Propagator()
+      const tracer = new Tracer('service-key', [], {
+        propagators: {
+          [FORMAT_HTTP_HEADERS]: [propagator]
+        }
+      })
+      const carrier = { 'X-Custom': 'a, b' }
+
+      this.sandbox.spy(propagator, 'extract')
+      tracer.extract(FORMAT_HTTP_HEADERS, carrier)
+
+      expect(propagator.extract).to.be.calledWithExactly(carrier)
+    })
+
+    it('should reject unknown format', () => {
+      const tracer = new Tracer('service-key')
+
+      expect(() => tracer.extract('unknown', {})).to.throw('Invalid format')
+    })
+
     it('should return null with invalid carrier', () => {
       const tracer = new Tracer('service-key')
       const spanContextExtracted = tracer.extract(FORMAT_HTTP_HEADERS, {})
@@ -146,12 +887,157 @@ describe('tracer/Tracer', () => {
       expect(spanContextExtracted).to.be.eql(null)
     })
 
-    it('should return null with unsupported format', () => {
+    it('should extract SpanContext with binary format', () => {
+      const tracer = new Tracer('service-key')
+      const span = tracer.startSpan('my-operation')
+      const spanContext = span.context()
+      const carrier = {}
+
+      span.setBaggageItem('tenant', 'acme')
+
+      tracer.inject(span, FORMAT_BINARY, carrier)
+      const spanContextExtracted = tracer.extract(FORMAT_BINARY, carrier)
+
+      expect(spanContextExtracted).to.be.eql(spanContext)
+    })
+
+    it('should return null with empty binary carrier', () => {
       const tracer = new Tracer('service-key')
       const spanContextExtracted = tracer.extract(FORMAT_BINARY, {})
 
       expect(spanContextExtracted).to.be.eql(null)
     })
+
+    it('should return null with corrupt binary carrier', () => {
+      const tracer = new Tracer('service-key')
+      const spanContextExtracted = tracer.extract(FORMAT_BINARY, { buffer: Buffer.from([1, 0, 5, 1]) })
+
+      expect(spanContextExtracted).to.be.eql(null)
+    })
+  })
+
+  describe('#reportStart', () => {
+    it('should call reporters with reportStart', function () {
+      const reporter1 = {
+        reportStart: this.sandbox.spy(),
+        reportFinish: this.sandbox.spy()
+      }
+      const reporter2 = {
+        reportFinish: this.sandbox.spy()
+      }
+      const tracer = new Tracer('service-key', [reporter1, reporter2])
+      const span = tracer.startSpan('my-operation')
+
+      expect(reporter1.reportStart).to.be.calledWith(span)
+    })
+  })
+
+  describe('#openSpans', () => {
+    it('should track started but not finished spans', () => {
+      const tracer = new Tracer('service-key', [], { stuckSpanThreshold: 1000 })
+      const span1 = tracer.startSpan('my-operation')
+      const span2 = tracer.startSpan('my-operation')
+
+      expect(tracer.openSpans()).to.be.eql([span1, span2])
+
+      span1.finish()
+
+      expect(tracer.openSpans()).to.be.eql([span2])
+
+      tracer.close()
+    })
+
+    it('should not track spans without stuck span detection', () => {
+      const tracer = new Tracer('service-key')
+      const span = tracer.startSpan('my-operation')
+
+      expect(tracer.openSpans()).to.be.eql([])
+      expect(tracer._openSpans).to.be.equal(undefined)
+
+      span.finish()
+    })
+  })
+
+  describe('#checkStuckSpans', () => {
+    let clock
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers()
+    })
+
+    afterEach(() => {
+      clock.restore()
+    })
+
+    it('should report stuck spans once', function () {
+      const onStuckSpan = this.sandbox.spy()
+      const reporter = {
+        reportStuck: this.sandbox.spy(),
+        reportFinish: this.sandbox.spy()
+      }
+      const tracer = new Tracer('service-key', [reporter], {
+        stuckSpanThreshold: 1000,
+        stuckSpanCheckInterval: 100,
+        onStuckSpan
+      })
+      const span1 = tracer.startSpan('my-operation')
+      clock.tick(500)
+      const span2 = tracer.startSpan('my-operation')
+      const span3 = tracer.startSpan('my-operation')
+      span3.finish()
+
+      clock.tick(600)
+
+      expect(onStuckSpan).to.have.callCount(1)
+      expect(onStuckSpan).to.be.calledWith(span1)
+      expect(reporter.reportStuck).to.have.callCount(1)
+      expect(reporter.reportStuck).to.be.calledWith(span1)
+
+      clock.tick(600)
+
+      expect(onStuckSpan).to.have.callCount(2)
+      expect(onStuckSpan).to.be.calledWith(span2)
+
+      tracer.close()
+    })
+
+    it('should not track unsampled spans without reporters', () => {
+      const reporter = {
+        reportFinish: () => {},
+        reportsUnsampled: () => true
+      }
+      const tracer = new Tracer('service-key', [], {
+        stuckSpanThreshold: 1000,
+        sampler: new ConstSampler(false)
+      })
+      const unsampledTracer = new Tracer('service-key', [reporter], {
+        stuckSpanThreshold: 1000,
+        sampler: new ConstSampler(false)
+      })
+
+      tracer.startSpan('my-operation')
+      const span = unsampledTracer.startSpan('my-operation')
+
+      expect(tracer.openSpans()).to.be.eql([])
+      expect(unsampledTracer.openSpans()).to.be.eql([span])
+
+      tracer.close()
+      unsampledTracer.close()
+    })
+
+    it('should stop checking on close', function () {
+      const onStuckSpan = this.sandbox.spy()
+      const tracer = new Tracer('service-key', [], {
+        stuckSpanThreshold: 1000,
+        onStuckSpan
+      })
+
+      tracer.startSpan('my-operation')
+      tracer.close()
+      clock.tick(5000)
+
+      expect(onStuckSpan).to.have.callCount(0)
+    })
   })
 
   describe('#reportFinish', () => {
@@ -170,5 +1056,26 @@ describe('tracer/Tracer', () => {
       expect(reporter1.reportFinish).to.be.calledWith(span)
       expect(reporter2.reportFinish).to.be.calledWith(span)
     })
+
+    it('should call only reporters of unsampled spans with unsampled spans', function () {
+      const reporter1 = {
+        reportStart: this.sandbox.spy(),
+        reportFinish: this.sandbox.spy()
+      }
+      const reporter2 = {
+        reportStart: this.sandbox.spy(),
+        reportFinish: this.sandbox.spy(),
+        reportsUnsampled: () => true
+      }
+      const tracer = new Tracer('service-key', [reporter1, reporter2], { sampler: new ConstSampler(false) })
+      const span = tracer.startSpan('my-operation')
+
+      span.finish()
+
+      expect(reporter1.reportStart).to.have.callCount(0)
+      expect(reporter1.reportFinish).to.have.callCount(0)
+      expect(reporter2.reportStart).to.be.calledWith(span)
+      expect(reporter2.reportFinish).to.be.calledWith(span)
+    })
   })
 })
@@ -1,13 +1,19 @@
 'use strict'
 
 const Reference = require('./Reference')
+const ScopeManager = require('./ScopeManager')
 const Span = require('./Span')
 const SpanContext = require('./SpanContext')
 const Tracer = require('./Tracer')
+const propagation = require('./propagation')
+const samplers = require('./samplers')
 
 module.exports = {
   Reference,
+  ScopeManager,
   Span,
   SpanContext,
-  Tracer
+  Tracer,
+  propagation,
+  samplers
 }
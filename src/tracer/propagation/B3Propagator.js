@@ -0,0 +1,131 @@
+'use strict'
+
+const SpanContext = require('../SpanContext')
+const Propagator = require('./Propagator')
+const W3CPropagator = require('./W3CPropagator')
+
+const TRACE_ID_LENGTH = 32
+const SPAN_ID_LENGTH = 16
+const CARRIER_KEY_TRACE_ID = 'X-B3-TraceId'
+const CARRIER_KEY_SPAN_ID = 'X-B3-SpanId'
+const CARRIER_KEY_PARENT_SPAN_ID = 'X-B3-ParentSpanId'
+const CARRIER_KEY_SAMPLED = 'X-B3-Sampled'
+const CARRIER_KEY_SINGLE = 'b3'
+const SAMPLED = '1'
+const NOT_SAMPLED = '0'
+const ID_REGEXP = /^([0-9a-f]{16}|[0-9a-f]{32})$/
+const SPAN_ID_REGEXP = /^[0-9a-f]{16}$/
+
+/**
+* Encodes SpanContext into Zipkin B3 headers, either multi-header (X-B3-*) or single-header (b3)
+* B3 has no room for the service key and the sampling rate, spans extracted from B3 only have
+* an unknown parent service, the B3 sampled flag is injected but never extracted as the sampling decision
+* of a foreign tracer isn't the metrics sampling decision, the local sampler decides
+* @class B3Propagator
+* @extends Propagator
+*/
+class B3Propagator extends Propagator {
+  /**
+  * Reads a header with its canonical or lowercase name
+  * @static getHeader
+  * @param {Object} carrier
+  * @param {String} key
+  * @returns {String|undefined}
+  */
+  static getHeader (carrier, key) {
+    const value = Propagator.getValue(carrier, key)
+
+    return value === undefined ? undefined : String(value).trim().toLowerCase()
+  }
+
+  /**
+  * @static createSpanContext
+  * @param {String} traceId
+  * @param {String} spanId
+  * @param {String} [parentSpanId]
+  * @returns {SpanContext|null}
+  */
+  static createSpanContext (traceId, spanId, parentSpanId) {
+    if (!ID_REGEXP.test(traceId || '') || !SPAN_ID_REGEXP.test(spanId || '') ||
+      (parentSpanId && !SPAN_ID_REGEXP.test(parentSpanId))) {
+      return null
+    }
+
+    return new SpanContext('', undefined, traceId, spanId, parentSpanId || undefined)
+  }
+
+  /**
+  * @constructor
+  * @param {Object} [options={}]
+  * @param {Boolean} [options.singleHeader=false] - use the single b3 header
+  * @returns {B3Propagator}
+  */
+  constructor ({ singleHeader = false } = {}) {
+    super()
+
+    this._singleHeader = singleHeader
+  }
+
+  /**
+  * @method inject
+  * @param {SpanContext} spanContext
+  * @param {Object} carrier
+  */
+  inject (spanContext, carrier) {
+    const traceId = W3CPropagator.toHexId(spanContext._traceId, TRACE_ID_LENGTH)
+    const spanId = W3CPropagator.toHexId(spanContext._spanId, SPAN_ID_LENGTH)
+    const parentSpanId = spanContext._parentSpanId ?
+      W3CPropagator.toHexId(spanContext._parentSpanId, SPAN_ID_LENGTH) : null
+
+    const sampled = spanContext.sampled() === false ? NOT_SAMPLED : SAMPLED
+
+    if (!traceId || !spanId) {
+      return
+    }
+
+    if (this._singleHeader) {
+      carrier[CARRIER_KEY_SINGLE] = [traceId, spanId, sampled, parentSpanId]
+        .filter((value) => value)
+        .join('-')
+      return
+    }
+
+    carrier[CARRIER_KEY_TRACE_ID] = traceId
+    carrier[CARRIER_KEY_SPAN_ID] = spanId
+    carrier[CARRIER_KEY_SAMPLED] = sampled
+
+    if (parentSpanId) {
+      carrier[CARRIER_KEY_PARENT_SPAN_ID] = parentSpanId
+    }
+  }
+
+  /**
+  * Extracts the single header first then falls back to the multi-header format
+  * @method extract
+  * @param {Object} carrier
+  * @returns {SpanContext|null}
+  */
+  // eslint-disable-next-line class-methods-use-this
+  extract (carrier) {
+    const [traceId, spanId, , parentSpanId] = (B3Propagator.getHeader(carrier, CARRIER_KEY_SINGLE) || '').split('-')
+    const spanContext = B3Propagator.createSpanContext(traceId, spanId, parentSpanId)
+
+    if (spanContext) {
+      return spanContext
+    }
+
+    return B3Propagator.createSpanContext(
+      B3Propagator.getHeader(carrier, CARRIER_KEY_TRACE_ID),
+      B3Propagator.getHeader(carrier, CARRIER_KEY_SPAN_ID),
+      B3Propagator.getHeader(carrier, CARRIER_KEY_PARENT_SPAN_ID)
+    )
+  }
+}
+
+B3Propagator.CARRIER_KEY_TRACE_ID = CARRIER_KEY_TRACE_ID
+B3Propagator.CARRIER_KEY_SPAN_ID = CARRIER_KEY_SPAN_ID
+B3Propagator.CARRIER_KEY_PARENT_SPAN_ID = CARRIER_KEY_PARENT_SPAN_ID
+B3Propagator.CARRIER_KEY_SAMPLED = CARRIER_KEY_SAMPLED
+B3Propagator.CARRIER_KEY_SINGLE = CARRIER_KEY_SINGLE
+
+module.exports = B3Propagator
@@ -0,0 +1,99 @@
+'use strict'
+
+const { expect } = require('chai')
+const SpanContext = require('../SpanContext')
+const B3Propagator = require('./B3Propagator')
+
+const TRACE_ID = '463ac35c9f6413ad48485a3953bb6124'
+const SPAN_ID = 'a2fb4a1d1a96d312'
+const PARENT_SPAN_ID = '0020000000000001'
+
+describe('tracer/propagation/B3Propagator', () => {
+  describe('#inject', () => {
+    it('should inject multiple headers', () => {
+      const propagator = new B3Propagator()
+      const spanContext = new SpanContext('service-1', undefined, TRACE_ID, SPAN_ID, PARENT_SPAN_ID)
+      const carrier = {}
+
+      propagator.inject(spanContext, carrier)
+
+      expect(carrier).to.be.eql({
+        'X-B3-TraceId': TRACE_ID,
+        'X-B3-SpanId': SPAN_ID,
+        'X-B3-ParentSpanId': PARENT_SPAN_ID,
+        'X-B3-Sampled': '1'
+      })
+    })
+
+    it('should inject single header', () => {
+      const propagator = new B3Propagator({ singleHeader: true })
+      const carrier = {}
+
+      propagator.inject(new SpanContext('service-1', undefined, TRACE_ID, SPAN_ID), carrier)
+      expect(carrier).to.be.eql({ b3: `${TRACE_ID}-${SPAN_ID}-1` })
+
+      propagator.inject(new SpanContext('service-1', undefined, TRACE_ID, SPAN_ID, PARENT_SPAN_ID), carrier)
+      expect(carrier).to.be.eql({ b3: `${TRACE_ID}-${SPAN_ID}-1-${PARENT_SPAN_ID}` })
+    })
+
+    it('should convert uuid based ids', () => {
+      const propagator = new B3Propagator()
+      const carrier = {}
+
+      propagator.inject(new SpanContext('service-1'), carrier)
+
+      expect(carrier['X-B3-TraceId']).to.match(/^[0-9a-f]{32}$/)
+      expect(carrier['X-B3-SpanId']).to.match(/^[0-9a-f]{16}$/)
+    })
+  })
+
+  describe('#extract', () => {
+    it('should extract multiple headers', () => {
+      const propagator = new B3Propagator()
+      const spanContext = propagator.extract({
+        'x-b3-traceid': TRACE_ID,
+        'x-b3-spanid': SPAN_ID,
+        'x-b3-parentspanid': PARENT_SPAN_ID,
+        'x-b3-sampled': '1'
+      })
+
+      expect(spanContext).to.be.eql(new SpanContext('', undefined, TRACE_ID, SPAN_ID, PARENT_SPAN_ID))
+    })
+
+    it('should extract 64 bit trace id', () => {
+      const propagator = new B3Propagator()
+      const spanContext = propagator.extract({
+        'X-B3-TraceId': TRACE_ID.substring(16),
+        'X-B3-SpanId': SPAN_ID
+      })
+
+      expect(spanContext._traceId).to.be.equal(TRACE_ID.substring(16))
+    })
+
+    it('should extract single header', () => {
+      const propagator = new B3Propagator()
+
+      expect(propagator.extract({ b3: `${TRACE_ID}-${SPAN_ID}` }))
+        .to.be.eql(new SpanContext('', undefined, TRACE_ID, SPAN_ID))
+      expect(propagator.extract({ b3: `${TRACE_ID}-${SPAN_ID}-d-${PARENT_SPAN_ID}` }))
+        .to.be.eql(new SpanContext('', undefined, TRACE_ID, SPAN_ID, PARENT_SPAN_ID))
+    })
+
+    it('should not extract the sampling decision', () => {
+      const propagator = new B3Propagator()
+
+      expect(propagator.extract({ b3: `${TRACE_ID}-${SPAN_ID}-0` }).sampled()).to.be.equal(undefined)
+      expect(propagator.extract({ b3: `${TRACE_ID}-${SPAN_ID}-1` }).sampled()).to.be.equal(undefined)
+      expect(propagator.extract({ 'X-B3-TraceId': TRACE_ID, 'X-B3-SpanId': SPAN_ID, 'X-B3-Sampled': '0' })
+        .sampled()).to.be.equal(undefined)
+    })
+
+    it('should return null with invalid headers', () => {
+      const propagator = new B3Propagator()
+
+      expect(propagator.extract({})).to.be.equal(null)
+      expect(propagator.extract({ b3: '0' })).to.be.equal(null)
+      expect(propagator.extract({ 'X-B3-TraceId': TRACE_ID, 'X-B3-SpanId': 'invalid' })).to.be.equal(null)
+    })
+  })
+})
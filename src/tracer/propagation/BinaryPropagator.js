@@ -0,0 +1,255 @@
+'use strict'
+
+const assert = require('assert')
+const SpanContext = require('../SpanContext')
+const Propagator = require('./Propagator')
+
+const VERSION = 1
+const SAMPLED = '1'
+const NOT_SAMPLED = '0'
+const LENGTH_BYTES = 2
+const MAX_LENGTH = 0xffff
+
+/**
+* Reads length-prefixed fields from a Buffer, every read returns undefined
+* when the buffer is truncated
+* @class BufferReader
+* @private
+*/
+class BufferReader {
+  /**
+  * @constructor
+  * @param {Buffer} buffer
+  * @returns {BufferReader}
+  */
+  constructor (buffer) {
+    this._buffer = buffer
+    this._offset = 0
+  }
+
+  /**
+  * @method readUInt8
+  * @returns {Number|undefined}
+  */
+  readUInt8 () {
+    if (this._offset + 1 > this._buffer.length) {
+      return undefined
+    }
+
+    const value = this._buffer.readUInt8(this._offset)
+    this._offset += 1
+    return value
+  }
+
+  /**
+  * @method readUInt16
+  * @returns {Number|undefined}
+  */
+  readUInt16 () {
+    if (this._offset + LENGTH_BYTES > this._buffer.length) {
+      return undefined
+    }
+
+    const value = this._buffer.readUInt16BE(this._offset)
+    this._offset += LENGTH_BYTES
+    return value
+  }
+
+  /**
+  * @method readString
+  * @returns {String|undefined}
+  */
+  readString () {
+    const length = this.readUInt16()
+
+    if (length === undefined || this._offset + length > this._buffer.length) {
+      return undefined
+    }
+
+    const value = this._buffer.toString('utf8', this._offset, this._offset + length)
+    this._offset += length
+    return value
+  }
+
+  /**
+  * @method isEnd
+  * @returns {Boolean}
+  */
+  isEnd () {
+    return this._offset === this._buffer.length
+  }
+}
+
+/**
+* Encodes SpanContext into FORMAT_BINARY carriers
+* Layout: version (uint8), service key, parent service key, trace id, span id, parent span id,
+* start time, sampled, sampling rate, baggage count (uint16) and baggage key-value pairs.
+* Every string is UTF-8 with an uint16 length prefix, the start time and the sampling rate are decimal strings
+* or empty, sampled is '1', '0' or empty.
+* @class BinaryPropagator
+* @extends Propagator
+*/
+class BinaryPropagator extends Propagator {
+  /**
+  * @static toBuffer
+  * @param {Buffer|ArrayBuffer|ArrayBufferView} buffer
+  * @returns {Buffer|undefined}
+  */
+  static toBuffer (buffer) {
+    if (Buffer.isBuffer(buffer)) {
+      return buffer
+    }
+
+    if (buffer instanceof ArrayBuffer) {
+      return Buffer.from(buffer)
+    }
+
+    if (ArrayBuffer.isView(buffer)) {
+      return Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+    }
+
+    return undefined
+  }
+
+  /**
+  * @method encode
+  * @param {SpanContext} spanContext
+  * @returns {Buffer}
+  */
+  // eslint-disable-next-line class-methods-use-this
+  encode (spanContext) {
+    assert(spanContext instanceof SpanContext, 'spanContext is required')
+
+    const toChunk = (str) => {
+      const chunk = Buffer.from(str || '', 'utf8')
+      assert(chunk.length <= MAX_LENGTH, 'field is too long')
+      return chunk
+    }
+    const sampled = spanContext.sampled() ? SAMPLED : NOT_SAMPLED
+    const fieldChunks = [
+      spanContext._serviceKey,
+      spanContext._parentServiceKey,
+      spanContext._traceId,
+      spanContext._spanId,
+      spanContext._parentSpanId,
+      spanContext.startTime() === undefined ? '' : String(spanContext.startTime()),
+      spanContext.sampled() === undefined ? '' : sampled,
+      spanContext.samplingRate() === undefined ? '' : String(spanContext.samplingRate())
+    ].map(toChunk)
+    const baggageChunks = Object.entries(spanContext._baggage)
+      .map(([key, value]) => [toChunk(key), toChunk(value)])
+    const chunks = fieldChunks.concat(...baggageChunks)
+
+    const size = chunks.reduce((length, chunk) => length + LENGTH_BYTES + chunk.length, 1 + LENGTH_BYTES)
+    const buffer = Buffer.alloc(size)
+    let offset = buffer.writeUInt8(VERSION, 0)
+
+    const writeChunk = (chunk) => {
+      offset = buffer.writeUInt16BE(chunk.length, offset)
+      offset += chunk.copy(buffer, offset)
+    }
+
+    fieldChunks.forEach(writeChunk)
+    offset = buffer.writeUInt16BE(baggageChunks.length, offset)
+    baggageChunks.forEach(([key, value]) => {
+      writeChunk(key)
+      writeChunk(value)
+    })
+
+    return buffer
+  }
+
+  /**
+  * @method decode
+  * @param {Buffer|ArrayBuffer|ArrayBufferView} buffer
+  * @returns {SpanContext|null} - null when the buffer is corrupt or truncated
+  */
+  // eslint-disable-next-line class-methods-use-this
+  decode (buffer) {
+    const reader = new BufferReader(BinaryPropagator.toBuffer(buffer) || Buffer.alloc(0))
+
+    if (reader.readUInt8() !== VERSION) {
+      return null
+    }
+
+    const serviceKey = reader.readString()
+    const parentServiceKey = reader.readString()
+    const traceId = reader.readString()
+    const spanId = reader.readString()
+    const parentSpanId = reader.readString()
+    const startTime = reader.readString()
+    const sampled = reader.readString()
+    const samplingRate = reader.readString()
+    const baggageCount = reader.readUInt16()
+
+    if (!serviceKey || !traceId || !spanId || parentServiceKey === undefined || parentSpanId === undefined ||
+      startTime === undefined || sampled === undefined || samplingRate === undefined || baggageCount === undefined) {
+      return null
+    }
+
+    const isInvalidStartTime = startTime && Propagator.parseStartTime(startTime) === undefined
+
+    if (isInvalidStartTime || (sampled && ![SAMPLED, NOT_SAMPLED].includes(sampled)) ||
+      (samplingRate && !(Number(samplingRate) >= 0 && Number(samplingRate) <= 1))) {
+      return null
+    }
+
+    const spanContext = new SpanContext(
+      serviceKey,
+      parentServiceKey || undefined,
+      traceId,
+      spanId,
+      parentSpanId || undefined,
+      Propagator.parseStartTime(startTime),
+      sampled ? sampled === SAMPLED : undefined,
+      samplingRate ? Propagator.parseSamplingRate(samplingRate) : undefined
+    )
+
+    for (let i = 0; i < baggageCount; i += 1) {
+      const key = reader.readString()
+      const value = reader.readString()
+
+      if (key === undefined || value === undefined) {
+        return null
+      }
+
+      spanContext.setBaggageItem(key, value)
+    }
+
+    return reader.isEnd() ? spanContext : null
+  }
+
+  /**
+  * @method inject
+  * @param {SpanContext} spanContext
+  * @param {Object} carrier - object with a `buffer` field, an ArrayBuffer is kept as ArrayBuffer
+  */
+  inject (spanContext, carrier) {
+    const buffer = this.encode(spanContext)
+
+    if (carrier.buffer instanceof ArrayBuffer) {
+      carrier.buffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length)
+    } else {
+      carrier.buffer = buffer
+    }
+  }
+
+  /**
+  * @method extract
+  * @param {Object|Buffer|ArrayBuffer} carrier - object with a `buffer` field or the buffer itself
+  * @returns {SpanContext|null}
+  */
+  extract (carrier) {
+    const buffer = BinaryPropagator.toBuffer(carrier) || BinaryPropagator.toBuffer(carrier.buffer)
+
+    if (!buffer) {
+      return null
+    }
+
+    return this.decode(buffer)
+  }
+}
+
+BinaryPropagator.VERSION = VERSION
+
+module.exports = BinaryPropagator
@@ -0,0 +1,143 @@
+'use strict'
+
+const { expect } = require('chai')
+const SpanContext = require('../SpanContext')
+const BinaryPropagator = require('./BinaryPropagator')
+
+describe('tracer/propagation/BinaryPropagator', () => {
+  describe('#encode', () => {
+    it('should start with the version', () => {
+      const propagator = new BinaryPropagator()
+      const buffer = propagator.encode(new SpanContext('service-1'))
+
+      expect(buffer.readUInt8(0)).to.be.equal(BinaryPropagator.VERSION)
+    })
+  })
+
+  describe('#decode', () => {
+    it('should decode encoded SpanContext', () => {
+      const propagator = new BinaryPropagator()
+      const spanContext = new SpanContext('service-2', 'service-1', 'trace-id', 'span-id', 'parent-span-id')
+      spanContext.setBaggageItem('tenant', 'acme')
+      spanContext.setBaggageItem('ünicode', 'välue')
+
+      expect(propagator.decode(propagator.encode(spanContext))).to.be.eql(spanContext)
+    })
+
+    it('should decode SpanContext without parent', () => {
+      const propagator = new BinaryPropagator()
+      const spanContext = new SpanContext('service-1')
+
+      expect(propagator.decode(propagator.encode(spanContext))).to.be.eql(spanContext)
+    })
+
+    it('should decode start time', () => {
+      const propagator = new BinaryPropagator()
+      const spanContext = new SpanContext('service-1', undefined, 'trace-id', 'span-id', undefined, 1500000000000)
+
+      expect(propagator.decode(propagator.encode(spanContext)).startTime()).to.be.equal(1500000000000)
+    })
+
+    it('should decode decimal start time', () => {
+      const propagator = new BinaryPropagator()
+      const spanContext = new SpanContext('service-1', undefined, 'trace-id', 'span-id', undefined, 1500000000000.25)
+
+      expect(propagator.decode(propagator.encode(spanContext)).startTime()).to.be.equal(1500000000000.25)
+    })
+
+    it('should decode sampling decision', () => {
+      const propagator = new BinaryPropagator()
+      const spanContext = new SpanContext('service-1', undefined, 'trace-id', 'span-id', undefined, undefined,
+        false, 0.1)
+      const decodedSpanContext = propagator.decode(propagator.encode(spanContext))
+
+      expect(decodedSpanContext.sampled()).to.be.equal(false)
+      expect(decodedSpanContext.samplingRate()).to.be.equal(0.1)
+    })
+
+    it('should return null with unknown version', () => {
+      const propagator = new BinaryPropagator()
+      const buffer = propagator.encode(new SpanContext('service-1'))
+      buffer.writeUInt8(BinaryPropagator.VERSION + 1, 0)
+
+      expect(propagator.decode(buffer)).to.be.equal(null)
+    })
+
+    it('should return null with truncated buffer', () => {
+      const propagator = new BinaryPropagator()
+      const spanContext = new SpanContext('service-1')
+      spanContext.setBaggageItem('tenant', 'acme')
+      const buffer = propagator.encode(spanContext)
+
+      for (let length = 0; length < buffer.length; length += 1) {
+        expect(propagator.decode(buffer.slice(0, length))).to.be.equal(null)
+      }
+    })
+
+    it('should return null with trailing bytes', () => {
+      const propagator = new BinaryPropagator()
+      const buffer = propagator.encode(new SpanContext('service-1'))
+
+      expect(propagator.decode(Buffer.concat([buffer, Buffer.from([0])]))).to.be.equal(null)
+    })
+
+    it('should return null with missing ids', () => {
+      const propagator = new BinaryPropagator()
+      const buffer = propagator.encode(new SpanContext('service-1', undefined, '', ''))
+
+      expect(propagator.decode(buffer)).to.be.equal(null)
+    })
+  })
+
+  describe('#inject', () => {
+    it('should inject into carrier.buffer', () => {
+      const propagator = new BinaryPropagator()
+      const spanContext = new SpanContext('service-1')
+      const carrier = {}
+
+      propagator.inject(spanContext, carrier)
+
+      expect(Buffer.isBuffer(carrier.buffer)).to.be.equal(true)
+      expect(carrier.buffer).to.be.eql(propagator.encode(spanContext))
+    })
+
+    it('should keep ArrayBuffer carrier type', () => {
+      const propagator = new BinaryPropagator()
+      const spanContext = new SpanContext('service-1')
+      const carrier = { buffer: new ArrayBuffer(0) }
+
+      propagator.inject(spanContext, carrier)
+
+      expect(carrier.buffer).to.be.instanceof(ArrayBuffer)
+      expect(propagator.decode(carrier.buffer)).to.be.eql(spanContext)
+    })
+  })
+
+  describe('#extract', () => {
+    it('should extract from carrier.buffer', () => {
+      const propagator = new BinaryPropagator()
+      const spanContext = new SpanContext('service-1')
+      const carrier = {}
+
+      propagator.inject(spanContext, carrier)
+
+      expect(propagator.extract(carrier)).to.be.eql(spanContext)
+    })
+
+    it('should extract from Buffer and Uint8Array', () => {
+      const propagator = new BinaryPropagator()
+      const spanContext = new SpanContext('service-1')
+      const buffer = propagator.encode(spanContext)
+
+      expect(propagator.extract(buffer)).to.be.eql(spanContext)
+      expect(propagator.extract(new Uint8Array(buffer))).to.be.eql(spanContext)
+    })
+
+    it('should return null without buffer', () => {
+      const propagator = new BinaryPropagator()
+
+      expect(propagator.extract({})).to.be.equal(null)
+      expect(propagator.extract({ buffer: 'invalid' })).to.be.equal(null)
+    })
+  })
+})
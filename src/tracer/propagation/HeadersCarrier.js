@@ -0,0 +1,72 @@
+'use strict'
+
+const W3CPropagator = require('./W3CPropagator')
+
+const LIST_HEADERS = [
+  W3CPropagator.CARRIER_KEY_TRACESTATE,
+  W3CPropagator.CARRIER_KEY_BAGGAGE
+]
+
+/**
+* Normalizes FORMAT_HTTP_HEADERS carriers for extraction
+* Accepts plain objects, Fetch Headers, Map and rawHeaders style [name, value, ...] arrays.
+* Header names are lowercased. When a header has multiple values the first one wins,
+* except list headers (tracestate, baggage) where the values are joined with a comma.
+* Values of other headers joined with a comma, like duplicated headers in Node's req.headers, are split
+* and the first one wins.
+* @class HeadersCarrier
+*/
+class HeadersCarrier {
+  /**
+  * @static entries
+  * @param {Object|Headers|Map|Array} carrier
+  * @returns {Array} entries - Array of [name, value]
+  */
+  static entries (carrier) {
+    if (Array.isArray(carrier)) {
+      const entries = []
+
+      for (let i = 0; i + 1 < carrier.length; i += 2) {
+        entries.push([carrier[i], carrier[i + 1]])
+      }
+
+      return entries
+    }
+
+    if (typeof carrier.forEach === 'function' && typeof carrier.get === 'function') {
+      const entries = []
+
+      carrier.forEach((value, name) => entries.push([name, value]))
+
+      return entries
+    }
+
+    return Object.entries(carrier)
+  }
+
+  /**
+  * @static normalize
+  * @param {Object|Headers|Map|Array} carrier
+  * @returns {Object} headers - lowercase header names with String values
+  */
+  static normalize (carrier) {
+    const values = {}
+
+    HeadersCarrier.entries(carrier)
+      .filter(([name, value]) => typeof name === 'string' && value !== undefined && value !== null)
+      .forEach(([name, value]) => {
+        const key = name.toLowerCase()
+
+        values[key] = (values[key] || []).concat(value).map(String)
+      })
+
+    return Object.entries(values).reduce((headers, [name, headerValues]) => {
+      headers[name] = LIST_HEADERS.includes(name) ? headerValues.join(',') : headerValues[0].split(',')[0].trim()
+      return headers
+    }, {})
+  }
+}
+
+HeadersCarrier.LIST_HEADERS = LIST_HEADERS
+
+module.exports = HeadersCarrier
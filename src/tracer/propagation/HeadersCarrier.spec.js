@@ -0,0 +1,95 @@
+'use strict'
+
+const { expect } = require('chai')
+const HeadersCarrier = require('./HeadersCarrier')
+
+describe('tracer/propagation/HeadersCarrier', () => {
+  describe('.normalize', () => {
+    it('should lowercase header names', () => {
+      expect(HeadersCarrier.normalize({
+        'Metrics-Tracer-Trace-Id': 'trace-id',
+        'X-B3-SpanId': 'span-id'
+      })).to.be.eql({
+        'metrics-tracer-trace-id': 'trace-id',
+        'x-b3-spanid': 'span-id'
+      })
+    })
+
+    it('should normalize Map', () => {
+      const carrier = new Map([['Metrics-Tracer-Trace-Id', 'trace-id']])
+
+      expect(HeadersCarrier.normalize(carrier)).to.be.eql({
+        'metrics-tracer-trace-id': 'trace-id'
+      })
+    })
+
+    it('should normalize Headers', function () {
+      if (typeof Headers === 'undefined') {
+        this.skip()
+      }
+
+      // eslint-disable-next-line no-undef
+      const carrier = new Headers({ 'Metrics-Tracer-Trace-Id': 'trace-id' })
+
+      expect(HeadersCarrier.normalize(carrier)).to.be.eql({
+        'metrics-tracer-trace-id': 'trace-id'
+      })
+    })
+
+    it('should normalize rawHeaders', () => {
+      const carrier = ['Metrics-Tracer-Trace-Id', 'trace-id', 'Host', 'localhost']
+
+      expect(HeadersCarrier.normalize(carrier)).to.be.eql({
+        'metrics-tracer-trace-id': 'trace-id',
+        host: 'localhost'
+      })
+    })
+
+    it('should use the first value of duplicated headers', () => {
+      expect(HeadersCarrier.normalize({
+        'metrics-tracer-trace-id': ['trace-id-1', 'trace-id-2'],
+        'Metrics-Tracer-Trace-Id': 'trace-id-3'
+      })).to.be.eql({
+        'metrics-tracer-trace-id': 'trace-id-1'
+      })
+
+      expect(HeadersCarrier.normalize([
+        'Metrics-Tracer-Trace-Id', 'trace-id-1',
+        'metrics-tracer-trace-id', 'trace-id-2'
+      ])).to.be.eql({
+        'metrics-tracer-trace-id': 'trace-id-1'
+      })
+    })
+
+    it('should use the first value of comma-joined headers', () => {
+      expect(HeadersCarrier.normalize({
+        'metrics-tracer-trace-id': 'trace-id-1, trace-id-2',
+        tracestate: 'metrics-tracer=service-1, congo=t61rcWkgMzE'
+      })).to.be.eql({
+        'metrics-tracer-trace-id': 'trace-id-1',
+        tracestate: 'metrics-tracer=service-1, congo=t61rcWkgMzE'
+      })
+    })
+
+    it('should join duplicated list headers', () => {
+      expect(HeadersCarrier.normalize([
+        'Tracestate', 'metrics-tracer=service-1',
+        'tracestate', 'congo=t61rcWkgMzE',
+        'baggage', 'tenant=acme'
+      ])).to.be.eql({
+        tracestate: 'metrics-tracer=service-1,congo=t61rcWkgMzE',
+        baggage: 'tenant=acme'
+      })
+    })
+
+    it('should stringify values and skip empty ones', () => {
+      expect(HeadersCarrier.normalize({
+        'x-number': 1,
+        'x-undefined': undefined,
+        'x-null': null
+      })).to.be.eql({
+        'x-number': '1'
+      })
+    })
+  })
+})
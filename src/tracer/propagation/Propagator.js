@@ -0,0 +1,67 @@
+'use strict'
+
+const START_TIME_REGEXP = /^\d+(\.\d+)?$/
+const MIN_SAMPLING_RATE = 0.001
+
+/**
+* Propagator interface, encodes SpanContext into carriers of a format and decodes it back
+* Custom propagators can extend it and can be registered with Tracer#registerPropagator
+* @class Propagator
+*/
+class Propagator {
+  /**
+  * Reads a carrier value by its key or by its lowercase key, as HTTP header names are lowercased
+  * @static getValue
+  * @param {Object} carrier
+  * @param {String} key
+  * @returns {*}
+  */
+  static getValue (carrier, key) {
+    return carrier[key] !== undefined ? carrier[key] : carrier[key.toLowerCase()]
+  }
+
+  /**
+  * Parses a start time encoded as a decimal string, fractions are kept for sub-millisecond accuracy
+  * @static parseStartTime
+  * @param {*} value
+  * @returns {Number|undefined} startTime - in milliseconds as Unix timestamp, undefined when it's invalid
+  */
+  static parseStartTime (value) {
+    return value !== undefined && value !== null && START_TIME_REGEXP.test(String(value)) ? Number(value) : undefined
+  }
+
+  /**
+  * Parses a propagated sampling rate, rates below MIN_SAMPLING_RATE are raised to it
+  * as reporters scale the counters of sampled spans by 1 / samplingRate
+  * @static parseSamplingRate
+  * @param {*} value
+  * @returns {Number|undefined} samplingRate - between MIN_SAMPLING_RATE and 1, undefined when it's invalid
+  */
+  static parseSamplingRate (value) {
+    const samplingRate = Number.parseFloat(value)
+
+    return samplingRate >= 0 && samplingRate <= 1 ? Math.max(samplingRate, MIN_SAMPLING_RATE) : undefined
+  }
+
+  /**
+  * @method inject
+  * @param {SpanContext} spanContext
+  * @param {*} carrier - the type of the carrier object is determined by the format
+  */
+  // eslint-disable-next-line class-methods-use-this, no-unused-vars
+  inject (spanContext, carrier) {}
+
+  /**
+  * @method extract
+  * @param {*} carrier - the type of the carrier object is determined by the format
+  * @returns {SpanContext|null}
+  */
+  // eslint-disable-next-line class-methods-use-this, no-unused-vars
+  extract (carrier) {
+    return null
+  }
+}
+
+Propagator.MIN_SAMPLING_RATE = MIN_SAMPLING_RATE
+
+module.exports = Propagator
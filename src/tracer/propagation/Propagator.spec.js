@@ -0,0 +1,61 @@
+'use strict'
+
+const { expect } = require('chai')
+const SpanContext = require('../SpanContext')
+const Propagator = require('./Propagator')
+
+describe('tracer/propagation/Propagator', () => {
+  describe('.parseStartTime', () => {
+    it('should parse integer and decimal start times', () => {
+      expect(Propagator.parseStartTime('1500000000000')).to.be.equal(1500000000000)
+      expect(Propagator.parseStartTime('1500000000000.25')).to.be.equal(1500000000000.25)
+      expect(Propagator.parseStartTime(1500000000000.25)).to.be.equal(1500000000000.25)
+    })
+
+    it('should skip invalid start times', () => {
+      expect(Propagator.parseStartTime('yesterday')).to.be.equal(undefined)
+      expect(Propagator.parseStartTime('1500000000000abc')).to.be.equal(undefined)
+      expect(Propagator.parseStartTime('-1')).to.be.equal(undefined)
+      expect(Propagator.parseStartTime('')).to.be.equal(undefined)
+      expect(Propagator.parseStartTime(undefined)).to.be.equal(undefined)
+    })
+  })
+
+  describe('.parseSamplingRate', () => {
+    it('should parse sampling rates', () => {
+      expect(Propagator.parseSamplingRate('0.25')).to.be.equal(0.25)
+      expect(Propagator.parseSamplingRate(1)).to.be.equal(1)
+    })
+
+    it('should raise sampling rates below the minimum', () => {
+      expect(Propagator.parseSamplingRate('1e-7')).to.be.equal(Propagator.MIN_SAMPLING_RATE)
+      expect(Propagator.parseSamplingRate('0')).to.be.equal(Propagator.MIN_SAMPLING_RATE)
+    })
+
+    it('should skip invalid sampling rates', () => {
+      expect(Propagator.parseSamplingRate('2')).to.be.equal(undefined)
+      expect(Propagator.parseSamplingRate('-0.1')).to.be.equal(undefined)
+      expect(Propagator.parseSamplingRate('often')).to.be.equal(undefined)
+      expect(Propagator.parseSamplingRate(undefined)).to.be.equal(undefined)
+    })
+  })
+
+  describe('#inject', () => {
+    it('should not modify the carrier', () => {
+      const propagator = new Propagator()
+      const carrier = {}
+
+      propagator.inject(new SpanContext('service-1'), carrier)
+
+      expect(carrier).to.be.eql({})
+    })
+  })
+
+  describe('#extract', () => {
+    it('should return null', () => {
+      const propagator = new Propagator()
+
+      expect(propagator.extract({})).to.be.equal(null)
+    })
+  })
+})
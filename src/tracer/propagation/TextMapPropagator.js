@@ -0,0 +1,163 @@
+'use strict'
+
+const SpanContext = require('../SpanContext')
+const Propagator = require('./Propagator')
+
+const CARRIER_KEY_SERVICE_KEYS = 'metrics-tracer-service-key'
+const CARRIER_KEY_TRACE_ID = 'metrics-tracer-trace-id'
+const CARRIER_KEY_SPAN_IDS = 'metrics-tracer-span-id'
+const CARRIER_KEY_START_TIME = 'metrics-tracer-start-time'
+const CARRIER_KEY_SAMPLED = 'metrics-tracer-sampled'
+const CARRIER_KEY_SAMPLING_RATE = 'metrics-tracer-sampling-rate'
+const CARRIER_KEY_BAGGAGE_PREFIX = 'metrics-tracer-baggage-'
+
+/**
+* Encodes SpanContext into FORMAT_TEXT_MAP and FORMAT_HTTP_HEADERS carriers with the metrics-tracer-* keys
+* @class TextMapPropagator
+* @extends Propagator
+*/
+class TextMapPropagator extends Propagator {
+  /**
+  * URL-encodes a baggage key and percent-encodes its uppercase letters,
+  * as HTTP header names are lowercased and decodeURIComponent restores them
+  * @static encodeBaggageKey
+  * @param {String} key
+  * @returns {String} encodedKey
+  */
+  static encodeBaggageKey (key) {
+    return encodeURIComponent(key).replace(/[A-Z]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+  }
+
+  /**
+  * @constructor
+  * @param {Object} [options={}] - carrier keys, defaults to the metrics-tracer-* keys
+  * @param {String} [options.serviceKeysKey=CARRIER_KEY_SERVICE_KEYS]
+  * @param {String} [options.traceIdKey=CARRIER_KEY_TRACE_ID]
+  * @param {String} [options.spanIdsKey=CARRIER_KEY_SPAN_IDS]
+  * @param {String} [options.startTimeKey=CARRIER_KEY_START_TIME]
+  * @param {String} [options.sampledKey=CARRIER_KEY_SAMPLED]
+  * @param {String} [options.samplingRateKey=CARRIER_KEY_SAMPLING_RATE]
+  * @param {String} [options.baggagePrefix=CARRIER_KEY_BAGGAGE_PREFIX]
+  * @returns {TextMapPropagator}
+  */
+  constructor ({
+    serviceKeysKey = CARRIER_KEY_SERVICE_KEYS,
+    traceIdKey = CARRIER_KEY_TRACE_ID,
+    spanIdsKey = CARRIER_KEY_SPAN_IDS,
+    startTimeKey = CARRIER_KEY_START_TIME,
+    sampledKey = CARRIER_KEY_SAMPLED,
+    samplingRateKey = CARRIER_KEY_SAMPLING_RATE,
+    baggagePrefix = CARRIER_KEY_BAGGAGE_PREFIX
+  } = {}) {
+    super()
+
+    this._keys = {
+      serviceKeys: serviceKeysKey,
+      traceId: traceIdKey,
+      spanIds: spanIdsKey,
+      startTime: startTimeKey,
+      sampled: sampledKey,
+      samplingRate: samplingRateKey,
+      baggagePrefix
+    }
+  }
+
+  /**
+  * @method inject
+  * @param {SpanContext} spanContext
+  * @param {Object} carrier
+  */
+  inject (spanContext, carrier) {
+    let serviceKeysStr = spanContext._serviceKey
+    if (spanContext.parentServiceKey()) {
+      serviceKeysStr += `:${spanContext.parentServiceKey()}`
+    }
+
+    let spanIdsStr = spanContext._spanId
+    if (spanContext._parentSpanId) {
+      spanIdsStr += `:${spanContext._parentSpanId}`
+    }
+
+    carrier[this._keys.serviceKeys] = serviceKeysStr
+    carrier[this._keys.traceId] = spanContext._traceId
+    carrier[this._keys.spanIds] = spanIdsStr
+
+    if (spanContext.startTime() !== undefined) {
+      carrier[this._keys.startTime] = String(spanContext.startTime())
+    }
+
+    if (spanContext.sampled() !== undefined) {
+      carrier[this._keys.sampled] = spanContext.sampled() ? '1' : '0'
+    }
+
+    if (spanContext.samplingRate() !== undefined) {
+      carrier[this._keys.samplingRate] = String(spanContext.samplingRate())
+    }
+
+    // Baggage items are URL-encoded under a prefixed key, the key keeps its case in HTTP headers
+    Object.entries(spanContext._baggage).forEach(([key, value]) => {
+      carrier[`${this._keys.baggagePrefix}${TextMapPropagator.encodeBaggageKey(key)}`] = encodeURIComponent(value)
+    })
+  }
+
+  /**
+  * @method extract
+  * @param {Object} carrier
+  * @returns {SpanContext|null}
+  */
+  extract (carrier) {
+    const tmpServiceKeys = String(Propagator.getValue(carrier, this._keys.serviceKeys) || '').split(':')
+    const tmpSpanKeys = String(Propagator.getValue(carrier, this._keys.spanIds) || '').split(':')
+
+    const serviceKey = tmpServiceKeys.shift()
+    const parentServiceKey = tmpServiceKeys.shift() || undefined
+    const traceId = Propagator.getValue(carrier, this._keys.traceId)
+    const spanId = tmpSpanKeys.shift()
+    const parentSpanId = tmpSpanKeys.shift() || undefined
+    const startTime = Propagator.parseStartTime(Propagator.getValue(carrier, this._keys.startTime))
+    const sampled = String(Propagator.getValue(carrier, this._keys.sampled))
+    const samplingRate = Propagator.parseSamplingRate(Propagator.getValue(carrier, this._keys.samplingRate))
+
+    if (!serviceKey || !traceId || !spanId) {
+      return null
+    }
+
+    const spanContext = new SpanContext(
+      serviceKey,
+      parentServiceKey,
+      traceId,
+      spanId,
+      parentSpanId,
+      startTime,
+      sampled === '1' || sampled === '0' ? sampled === '1' : undefined,
+      samplingRate
+    )
+
+    const baggagePrefix = this._keys.baggagePrefix.toLowerCase()
+
+    Object.keys(carrier)
+      .filter((key) => key.toLowerCase().startsWith(baggagePrefix))
+      .forEach((key) => {
+        try {
+          const baggageKey = decodeURIComponent(key.substring(baggagePrefix.length))
+          const baggageValue = decodeURIComponent(carrier[key])
+
+          spanContext.setBaggageItem(baggageKey, baggageValue)
+        } catch (err) {
+          // Skip malformed baggage item
+        }
+      })
+
+    return spanContext
+  }
+}
+
+TextMapPropagator.CARRIER_KEY_SERVICE_KEYS = CARRIER_KEY_SERVICE_KEYS
+TextMapPropagator.CARRIER_KEY_TRACE_ID = CARRIER_KEY_TRACE_ID
+TextMapPropagator.CARRIER_KEY_SPAN_IDS = CARRIER_KEY_SPAN_IDS
+TextMapPropagator.CARRIER_KEY_START_TIME = CARRIER_KEY_START_TIME
+TextMapPropagator.CARRIER_KEY_SAMPLED = CARRIER_KEY_SAMPLED
+TextMapPropagator.CARRIER_KEY_SAMPLING_RATE = CARRIER_KEY_SAMPLING_RATE
+TextMapPropagator.CARRIER_KEY_BAGGAGE_PREFIX = CARRIER_KEY_BAGGAGE_PREFIX
+
+module.exports = TextMapPropagator
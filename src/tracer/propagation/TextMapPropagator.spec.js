@@ -0,0 +1,177 @@
+'use strict'
+
+const http = require('http')
+const { expect } = require('chai')
+const SpanContext = require('../SpanContext')
+const Propagator = require('./Propagator')
+const TextMapPropagator = require('./TextMapPropagator')
+
+describe('tracer/propagation/TextMapPropagator', () => {
+  describe('.encodeBaggageKey', () => {
+    it('should percent-encode uppercase letters', () => {
+      expect(TextMapPropagator.encodeBaggageKey('tenantId')).to.be.equal('tenant%49d')
+      expect(TextMapPropagator.encodeBaggageKey('feature flag')).to.be.equal('feature%20flag')
+    })
+  })
+
+  describe('#inject', () => {
+    it('should inject service keys, trace id and span ids', () => {
+      const propagator = new TextMapPropagator()
+      const spanContext = new SpanContext('service-2', 'service-1', 'trace-id', 'span-id', 'parent-span-id')
+      const carrier = {}
+
+      propagator.inject(spanContext, carrier)
+
+      expect(carrier).to.be.eql({
+        [TextMapPropagator.CARRIER_KEY_SERVICE_KEYS]: 'service-2:service-1',
+        [TextMapPropagator.CARRIER_KEY_TRACE_ID]: 'trace-id',
+        [TextMapPropagator.CARRIER_KEY_SPAN_IDS]: 'span-id:parent-span-id'
+      })
+    })
+
+    it('should inject with custom keys', () => {
+      const propagator = new TextMapPropagator({
+        serviceKeysKey: 'x-service',
+        traceIdKey: 'x-trace',
+        spanIdsKey: 'x-span',
+        baggagePrefix: 'x-baggage-'
+      })
+      const spanContext = new SpanContext('service-1', undefined, 'trace-id', 'span-id')
+      const carrier = {}
+
+      spanContext.setBaggageItem('tenant', 'acme')
+      propagator.inject(spanContext, carrier)
+
+      expect(carrier).to.be.eql({
+        'x-service': 'service-1',
+        'x-trace': 'trace-id',
+        'x-span': 'span-id',
+        'x-baggage-tenant': 'acme'
+      })
+      expect(propagator.extract(carrier)).to.be.eql(spanContext)
+    })
+  })
+
+  describe('#extract', () => {
+    it('should extract injected SpanContext', () => {
+      const propagator = new TextMapPropagator()
+      const spanContext = new SpanContext('service-2', 'service-1', 'trace-id', 'span-id', 'parent-span-id')
+      const carrier = {}
+
+      spanContext.setBaggageItem('tenant', 'acme')
+      propagator.inject(spanContext, carrier)
+
+      expect(propagator.extract(carrier)).to.be.eql(spanContext)
+    })
+
+    it('should extract the case of baggage keys from HTTP headers', () => {
+      const propagator = new TextMapPropagator()
+      const spanContext = new SpanContext('service-1', undefined, 'trace-id', 'span-id')
+      const headers = {}
+      const server = http.createServer((req, res) => {
+        res.end(JSON.stringify(propagator.extract(req.headers)._baggage))
+      })
+
+      spanContext.setBaggageItem('tenantId', 'acme')
+      spanContext.setBaggageItem('FEATURE_Flag', 'on')
+      propagator.inject(spanContext, headers)
+
+      return new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+        .then(() => new Promise((resolve, reject) => {
+          http.get({ host: '127.0.0.1', port: server.address().port, headers }, (res) => {
+            let body = ''
+
+            res.on('data', (chunk) => {
+              body += chunk
+            })
+            res.on('end', () => resolve(JSON.parse(body)))
+          }).on('error', reject)
+        }))
+        .then((baggage) => {
+          server.close()
+          expect(baggage).to.be.eql({ tenantId: 'acme', FEATURE_Flag: 'on' })
+        })
+    })
+
+    it('should extract start time', () => {
+      const propagator = new TextMapPropagator()
+      const spanContext = new SpanContext('service-1', undefined, 'trace-id', 'span-id', undefined, 1500000000000)
+      const carrier = {}
+
+      propagator.inject(spanContext, carrier)
+
+      expect(carrier[TextMapPropagator.CARRIER_KEY_START_TIME]).to.be.equal('1500000000000')
+      expect(propagator.extract(carrier).startTime()).to.be.equal(1500000000000)
+    })
+
+    it('should extract decimal start time', () => {
+      const propagator = new TextMapPropagator()
+      const spanContext = new SpanContext('service-1', undefined, 'trace-id', 'span-id', undefined, 1500000000000.25)
+      const carrier = {}
+
+      propagator.inject(spanContext, carrier)
+
+      expect(propagator.extract(carrier).startTime()).to.be.equal(1500000000000.25)
+    })
+
+    it('should skip invalid start time', () => {
+      const propagator = new TextMapPropagator()
+
+      expect(propagator.extract({
+        [TextMapPropagator.CARRIER_KEY_SERVICE_KEYS]: 'service-1',
+        [TextMapPropagator.CARRIER_KEY_TRACE_ID]: 'trace-id',
+        [TextMapPropagator.CARRIER_KEY_SPAN_IDS]: 'span-id',
+        [TextMapPropagator.CARRIER_KEY_START_TIME]: 'yesterday'
+      }).startTime()).to.be.equal(undefined)
+    })
+
+    it('should extract sampling decision', () => {
+      const propagator = new TextMapPropagator()
+      const spanContext = new SpanContext('service-1', undefined, 'trace-id', 'span-id', undefined, undefined,
+        false, 0.25)
+      const carrier = {}
+
+      propagator.inject(spanContext, carrier)
+
+      expect(carrier[TextMapPropagator.CARRIER_KEY_SAMPLED]).to.be.equal('0')
+      expect(carrier[TextMapPropagator.CARRIER_KEY_SAMPLING_RATE]).to.be.equal('0.25')
+      expect(propagator.extract(carrier)).to.be.eql(spanContext)
+    })
+
+    it('should skip invalid sampling decision', () => {
+      const propagator = new TextMapPropagator()
+      const spanContext = propagator.extract({
+        [TextMapPropagator.CARRIER_KEY_SERVICE_KEYS]: 'service-1',
+        [TextMapPropagator.CARRIER_KEY_TRACE_ID]: 'trace-id',
+        [TextMapPropagator.CARRIER_KEY_SPAN_IDS]: 'span-id',
+        [TextMapPropagator.CARRIER_KEY_SAMPLED]: 'yes',
+        [TextMapPropagator.CARRIER_KEY_SAMPLING_RATE]: '2'
+      })
+
+      expect(spanContext.sampled()).to.be.equal(undefined)
+      expect(spanContext.samplingRate()).to.be.equal(undefined)
+    })
+
+    it('should raise extracted sampling rates below the minimum', () => {
+      const propagator = new TextMapPropagator()
+      const spanContext = propagator.extract({
+        [TextMapPropagator.CARRIER_KEY_SERVICE_KEYS]: 'service-1',
+        [TextMapPropagator.CARRIER_KEY_TRACE_ID]: 'trace-id',
+        [TextMapPropagator.CARRIER_KEY_SPAN_IDS]: 'span-id',
+        [TextMapPropagator.CARRIER_KEY_SAMPLED]: '1',
+        [TextMapPropagator.CARRIER_KEY_SAMPLING_RATE]: '1e-7'
+      })
+
+      expect(spanContext.samplingRate()).to.be.equal(Propagator.MIN_SAMPLING_RATE)
+    })
+
+    it('should return null without trace id', () => {
+      const propagator = new TextMapPropagator()
+
+      expect(propagator.extract({
+        [TextMapPropagator.CARRIER_KEY_SERVICE_KEYS]: 'service-1',
+        [TextMapPropagator.CARRIER_KEY_SPAN_IDS]: 'span-id'
+      })).to.be.equal(null)
+    })
+  })
+})
@@ -0,0 +1,175 @@
+'use strict'
+
+const SpanContext = require('../SpanContext')
+const Propagator = require('./Propagator')
+
+const VERSION = '00'
+const FLAGS_SAMPLED = '01'
+const FLAGS_NOT_SAMPLED = '00'
+const TRACE_ID_LENGTH = 32
+const SPAN_ID_LENGTH = 16
+const CARRIER_KEY_TRACEPARENT = 'traceparent'
+const CARRIER_KEY_TRACESTATE = 'tracestate'
+const CARRIER_KEY_BAGGAGE = 'baggage'
+const TRACESTATE_KEY = 'metrics-tracer'
+const TRACESTATE_KEY_START_TIME = 'metrics-tracer-start'
+const TRACESTATE_KEY_SAMPLING_RATE = 'metrics-tracer-rate'
+const TRACESTATE_KEYS = [TRACESTATE_KEY, TRACESTATE_KEY_START_TIME, TRACESTATE_KEY_SAMPLING_RATE]
+const TRACEPARENT_REGEXP = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/
+
+/**
+* Encodes SpanContext into W3C Trace Context (traceparent, tracestate) and W3C Baggage headers
+* The service key travels in the `metrics-tracer` tracestate entry, the start time in `metrics-tracer-start`,
+* the sampling rate in `metrics-tracer-rate` and the sampling decision in the sampled flag of traceparent,
+* the sampled flag is extracted only with these entries, it's the decision of another tracer otherwise
+* @class W3CPropagator
+* @extends Propagator
+*/
+class W3CPropagator extends Propagator {
+  /**
+  * Converts an id to fixed length lowercase hex, uuid based ids keep their last hex digits
+  * @static toHexId
+  * @param {String} id
+  * @param {Number} length
+  * @returns {String|null} hexId - null when the result would be an invalid all zero id
+  */
+  static toHexId (id, length) {
+    const hex = String(id || '').toLowerCase().replace(/[^0-9a-f]/g, '')
+    const hexId = hex.slice(-length).padStart(length, '0')
+
+    return /^0+$/.test(hexId) ? null : hexId
+  }
+
+  /**
+  * Parses a comma separated list of key=value members, skipping invalid ones
+  * @static parseList
+  * @param {String} [header]
+  * @returns {Array} members - Array of [key, value]
+  */
+  static parseList (header) {
+    return String(header || '')
+      .split(',')
+      .map((member) => member.split(';')[0].trim())
+      .filter((member) => member.includes('='))
+      .map((member) => {
+        const separatorIndex = member.indexOf('=')
+        return [member.substring(0, separatorIndex).trim(), member.substring(separatorIndex + 1).trim()]
+      })
+  }
+
+  /**
+  * @method inject
+  * @param {SpanContext} spanContext
+  * @param {Object} carrier
+  */
+  // eslint-disable-next-line class-methods-use-this
+  inject (spanContext, carrier) {
+    const traceId = W3CPropagator.toHexId(spanContext._traceId, TRACE_ID_LENGTH)
+    const spanId = W3CPropagator.toHexId(spanContext._spanId, SPAN_ID_LENGTH)
+
+    if (!traceId || !spanId) {
+      return
+    }
+
+    const flags = spanContext.sampled() === false ? FLAGS_NOT_SAMPLED : FLAGS_SAMPLED
+
+    carrier[CARRIER_KEY_TRACEPARENT] = `${VERSION}-${traceId}-${spanId}-${flags}`
+
+    // Our entries go first, other vendors' entries are kept
+    const traceState = W3CPropagator.parseList(carrier[CARRIER_KEY_TRACESTATE])
+      .filter(([key]) => !TRACESTATE_KEYS.includes(key))
+      .map(([key, value]) => `${key}=${value}`)
+
+    if (spanContext.samplingRate() !== undefined) {
+      traceState.unshift(`${TRACESTATE_KEY_SAMPLING_RATE}=${spanContext.samplingRate()}`)
+    }
+
+    if (spanContext.startTime() !== undefined) {
+      traceState.unshift(`${TRACESTATE_KEY_START_TIME}=${spanContext.startTime()}`)
+    }
+
+    if (spanContext._serviceKey) {
+      traceState.unshift(`${TRACESTATE_KEY}=${encodeURIComponent(spanContext._serviceKey)}`)
+    }
+
+    if (traceState.length) {
+      carrier[CARRIER_KEY_TRACESTATE] = traceState.join(',')
+    }
+
+    const baggage = Object.entries(spanContext._baggage)
+      .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+
+    if (baggage.length) {
+      carrier[CARRIER_KEY_BAGGAGE] = baggage.join(',')
+    }
+  }
+
+  /**
+  * @method extract
+  * @param {Object} carrier
+  * @returns {SpanContext|null}
+  */
+  // eslint-disable-next-line class-methods-use-this
+  extract (carrier) {
+    const match = TRACEPARENT_REGEXP.exec(String(carrier[CARRIER_KEY_TRACEPARENT] || '').trim())
+
+    if (!match) {
+      return null
+    }
+
+    const [, version, traceId, spanId, flags, rest] = match
+
+    // Version 00 can't have extra fields and version ff is forbidden
+    if (version === 'ff' || (version === VERSION && rest) || /^0+$/.test(traceId) || /^0+$/.test(spanId)) {
+      return null
+    }
+
+    const traceState = W3CPropagator.parseList(carrier[CARRIER_KEY_TRACESTATE])
+    const serviceKeyEntry = traceState.find(([key]) => key === TRACESTATE_KEY)
+    const startTimeEntry = traceState.find(([key]) => key === TRACESTATE_KEY_START_TIME)
+    const startTime = startTimeEntry ? Propagator.parseStartTime(startTimeEntry[1]) : undefined
+    const samplingRateEntry = traceState.find(([key]) => key === TRACESTATE_KEY_SAMPLING_RATE)
+    const samplingRate = samplingRateEntry ? Propagator.parseSamplingRate(samplingRateEntry[1]) : undefined
+    // The sampled flag is our decision only with our entries, other tracers' flags don't decide the metrics
+    const isOwnDecision = Boolean(serviceKeyEntry || samplingRateEntry)
+    // eslint-disable-next-line no-bitwise
+    const sampled = isOwnDecision ? (Number.parseInt(flags, 16) & 1) === 1 : undefined
+    let serviceKey = ''
+
+    try {
+      serviceKey = serviceKeyEntry ? decodeURIComponent(serviceKeyEntry[1]) : ''
+    } catch (err) {
+      // Unknown parent service
+    }
+
+    const spanContext = new SpanContext(
+      serviceKey,
+      undefined,
+      traceId,
+      spanId,
+      undefined,
+      startTime,
+      sampled,
+      samplingRate
+    )
+
+    W3CPropagator.parseList(carrier[CARRIER_KEY_BAGGAGE]).forEach(([key, value]) => {
+      try {
+        spanContext.setBaggageItem(decodeURIComponent(key), decodeURIComponent(value))
+      } catch (err) {
+        // Skip malformed baggage item
+      }
+    })
+
+    return spanContext
+  }
+}
+
+W3CPropagator.CARRIER_KEY_TRACEPARENT = CARRIER_KEY_TRACEPARENT
+W3CPropagator.CARRIER_KEY_TRACESTATE = CARRIER_KEY_TRACESTATE
+W3CPropagator.CARRIER_KEY_BAGGAGE = CARRIER_KEY_BAGGAGE
+W3CPropagator.TRACESTATE_KEY = TRACESTATE_KEY
+W3CPropagator.TRACESTATE_KEY_START_TIME = TRACESTATE_KEY_START_TIME
+W3CPropagator.TRACESTATE_KEY_SAMPLING_RATE = TRACESTATE_KEY_SAMPLING_RATE
+
+module.exports = W3CPropagator
@@ -0,0 +1,171 @@
+'use strict'
+
+const { expect } = require('chai')
+const SpanContext = require('../SpanContext')
+const Propagator = require('./Propagator')
+const W3CPropagator = require('./W3CPropagator')
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736'
+const SPAN_ID = '00f067aa0ba902b7'
+
+describe('tracer/propagation/W3CPropagator', () => {
+  describe('.toHexId', () => {
+    it('should keep hex ids', () => {
+      expect(W3CPropagator.toHexId(TRACE_ID, 32)).to.be.equal(TRACE_ID)
+    })
+
+    it('should convert uuid based ids', () => {
+      const spanContext = new SpanContext('service-1')
+
+      expect(W3CPropagator.toHexId(spanContext._traceId, 32)).to.match(/^[0-9a-f]{32}$/)
+      expect(W3CPropagator.toHexId(spanContext._spanId, 16)).to.match(/^[0-9a-f]{16}$/)
+    })
+
+    it('should pad short ids', () => {
+      expect(W3CPropagator.toHexId('abc', 16)).to.be.equal('0000000000000abc')
+    })
+
+    it('should return null for all zero ids', () => {
+      expect(W3CPropagator.toHexId('0-0', 16)).to.be.equal(null)
+    })
+  })
+
+  describe('#inject', () => {
+    it('should inject traceparent and tracestate', () => {
+      const propagator = new W3CPropagator()
+      const spanContext = new SpanContext('service-1', undefined, TRACE_ID, SPAN_ID)
+      const carrier = {}
+
+      propagator.inject(spanContext, carrier)
+
+      expect(carrier).to.be.eql({
+        traceparent: `00-${TRACE_ID}-${SPAN_ID}-01`,
+        tracestate: 'metrics-tracer=service-1'
+      })
+    })
+
+    it('should keep other tracestate entries', () => {
+      const propagator = new W3CPropagator()
+      const spanContext = new SpanContext('my service', undefined, TRACE_ID, SPAN_ID)
+      const carrier = {
+        tracestate: 'congo=t61rcWkgMzE, metrics-tracer=old'
+      }
+
+      propagator.inject(spanContext, carrier)
+
+      expect(carrier.tracestate).to.be.equal('metrics-tracer=my%20service,congo=t61rcWkgMzE')
+    })
+
+    it('should inject start time into tracestate', () => {
+      const propagator = new W3CPropagator()
+      const spanContext = new SpanContext('service-1', undefined, TRACE_ID, SPAN_ID, undefined, 1500000000000)
+      const carrier = {
+        tracestate: 'metrics-tracer-start=1,congo=t61rcWkgMzE'
+      }
+
+      propagator.inject(spanContext, carrier)
+
+      expect(carrier.tracestate)
+        .to.be.equal('metrics-tracer=service-1,metrics-tracer-start=1500000000000,congo=t61rcWkgMzE')
+      expect(propagator.extract(carrier).startTime()).to.be.equal(1500000000000)
+    })
+
+    it('should extract decimal start time', () => {
+      const propagator = new W3CPropagator()
+      const spanContext = new SpanContext('service-1', undefined, TRACE_ID, SPAN_ID, undefined, 1500000000000.25)
+      const carrier = {}
+
+      propagator.inject(spanContext, carrier)
+
+      expect(propagator.extract(carrier).startTime()).to.be.equal(1500000000000.25)
+    })
+
+    it('should inject baggage', () => {
+      const propagator = new W3CPropagator()
+      const spanContext = new SpanContext('service-1', undefined, TRACE_ID, SPAN_ID)
+      const carrier = {}
+
+      spanContext.setBaggageItem('tenant', 'acme')
+      spanContext.setBaggageItem('feature flag', 'a=b')
+      propagator.inject(spanContext, carrier)
+
+      expect(carrier.baggage).to.be.equal('tenant=acme,feature%20flag=a%3Db')
+    })
+  })
+
+  describe('#extract', () => {
+    it('should extract injected SpanContext', () => {
+      const propagator = new W3CPropagator()
+      const spanContext = new SpanContext('service-1', undefined, TRACE_ID, SPAN_ID, undefined, undefined, true)
+      const carrier = {}
+
+      spanContext.setBaggageItem('tenant', 'acme')
+      propagator.inject(spanContext, carrier)
+
+      expect(propagator.extract(carrier)).to.be.eql(spanContext)
+    })
+
+    it('should extract sampling decision', () => {
+      const propagator = new W3CPropagator()
+      const spanContext = new SpanContext('service-1', undefined, TRACE_ID, SPAN_ID, undefined, undefined, false, 0.1)
+      const carrier = {}
+
+      propagator.inject(spanContext, carrier)
+
+      expect(carrier.traceparent).to.be.equal(`00-${TRACE_ID}-${SPAN_ID}-00`)
+      expect(carrier.tracestate).to.be.equal('metrics-tracer=service-1,metrics-tracer-rate=0.1')
+      expect(propagator.extract(carrier)).to.be.eql(spanContext)
+    })
+
+    it('should not extract the sampled flag of other tracers', () => {
+      const propagator = new W3CPropagator()
+
+      expect(propagator.extract({ traceparent: `00-${TRACE_ID}-${SPAN_ID}-00` }).sampled()).to.be.equal(undefined)
+      expect(propagator.extract({
+        traceparent: `00-${TRACE_ID}-${SPAN_ID}-01`,
+        tracestate: 'congo=t61rcWkgMzE'
+      }).sampled()).to.be.equal(undefined)
+    })
+
+    it('should raise extracted sampling rates below the minimum', () => {
+      const propagator = new W3CPropagator()
+      const spanContext = propagator.extract({
+        traceparent: `00-${TRACE_ID}-${SPAN_ID}-01`,
+        tracestate: 'metrics-tracer=service-1,metrics-tracer-rate=1e-7'
+      })
+
+      expect(spanContext.samplingRate()).to.be.equal(Propagator.MIN_SAMPLING_RATE)
+    })
+
+    it('should extract without tracestate', () => {
+      const propagator = new W3CPropagator()
+      const spanContext = propagator.extract({
+        traceparent: `00-${TRACE_ID}-${SPAN_ID}-01`
+      })
+
+      expect(spanContext._serviceKey).to.be.equal('')
+      expect(spanContext._traceId).to.be.equal(TRACE_ID)
+      expect(spanContext._spanId).to.be.equal(SPAN_ID)
+    })
+
+    it('should extract future versions', () => {
+      const propagator = new W3CPropagator()
+      const spanContext = propagator.extract({
+        traceparent: `01-${TRACE_ID}-${SPAN_ID}-01-extra`
+      })
+
+      expect(spanContext._traceId).to.be.equal(TRACE_ID)
+    })
+
+    it('should return null with invalid traceparent', () => {
+      const propagator = new W3CPropagator()
+
+      expect(propagator.extract({})).to.be.equal(null)
+      expect(propagator.extract({ traceparent: 'invalid' })).to.be.equal(null)
+      expect(propagator.extract({ traceparent: `ff-${TRACE_ID}-${SPAN_ID}-01` })).to.be.equal(null)
+      expect(propagator.extract({ traceparent: `00-${TRACE_ID}-${SPAN_ID}-01-extra` })).to.be.equal(null)
+      expect(propagator.extract({ traceparent: `00-${'0'.repeat(32)}-${SPAN_ID}-01` })).to.be.equal(null)
+      expect(propagator.extract({ traceparent: `00-${TRACE_ID}-${'0'.repeat(16)}-01` })).to.be.equal(null)
+    })
+  })
+})
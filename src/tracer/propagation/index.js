@@ -0,0 +1,17 @@
+'use strict'
+
+const Propagator = require('./Propagator')
+const BinaryPropagator = require('./BinaryPropagator')
+const TextMapPropagator = require('./TextMapPropagator')
+const W3CPropagator = require('./W3CPropagator')
+const B3Propagator = require('./B3Propagator')
+const HeadersCarrier = require('./HeadersCarrier')
+
+module.exports = {
+  Propagator,
+  BinaryPropagator,
+  TextMapPropagator,
+  W3CPropagator,
+  B3Propagator,
+  HeadersCarrier
+}
@@ -0,0 +1,37 @@
+'use strict'
+
+const assert = require('assert')
+const Sampler = require('./Sampler')
+
+/**
+* Samples always or never
+* @class ConstSampler
+* @extends Sampler
+*/
+class ConstSampler extends Sampler {
+  /**
+  * @constructor
+  * @param {Boolean} decision
+  * @returns {ConstSampler}
+  */
+  constructor (decision) {
+    super()
+
+    assert(typeof decision === 'boolean', 'decision must be a Boolean')
+
+    this._decision = decision
+  }
+
+  /**
+  * @method sample
+  * @returns {Object} decision - { sampled, rate }
+  */
+  sample () {
+    return {
+      sampled: this._decision,
+      rate: this._decision ? 1 : 0
+    }
+  }
+}
+
+module.exports = ConstSampler
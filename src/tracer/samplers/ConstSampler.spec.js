@@ -0,0 +1,33 @@
+'use strict'
+
+const { expect } = require('chai')
+const ConstSampler = require('./ConstSampler')
+
+describe('tracer/samplers/ConstSampler', () => {
+  describe('#constructor', () => {
+    it('should validate decision', () => {
+      expect(() => new ConstSampler()).to.throw('decision must be a Boolean')
+      expect(() => new ConstSampler(1)).to.throw('decision must be a Boolean')
+    })
+  })
+
+  describe('#sample', () => {
+    it('should sample always', () => {
+      const sampler = new ConstSampler(true)
+
+      expect(sampler.sample('my-operation', {})).to.be.eql({
+        sampled: true,
+        rate: 1
+      })
+    })
+
+    it('should sample never', () => {
+      const sampler = new ConstSampler(false)
+
+      expect(sampler.sample('my-operation', {})).to.be.eql({
+        sampled: false,
+        rate: 0
+      })
+    })
+  })
+})
@@ -0,0 +1,65 @@
+'use strict'
+
+const assert = require('assert')
+const Sampler = require('./Sampler')
+const ConstSampler = require('./ConstSampler')
+
+/**
+* Delegates to a sampler by operation name
+* @class PerOperationSampler
+* @extends Sampler
+*/
+class PerOperationSampler extends Sampler {
+  /**
+  * @static matches
+  * @param {RegExp|String} pattern - RegExp or exact operation name
+  * @param {String} operationName
+  * @returns {Boolean}
+  */
+  static matches (pattern, operationName) {
+    if (pattern instanceof RegExp) {
+      // Global and sticky RegExps continue from the last match otherwise
+      pattern.lastIndex = 0
+      return pattern.test(operationName)
+    }
+
+    return pattern === operationName
+  }
+
+  /**
+  * @constructor
+  * @param {Object} [options={}]
+  * @param {Array} [options.operations=[]] - Array of { pattern, sampler }, sampler by operation name RegExp
+  *        or exact name, the first matching pattern wins
+  * @param {Sampler} [options.defaultSampler=new ConstSampler(true)] - sampler of not matching operations
+  * @returns {PerOperationSampler}
+  */
+  constructor ({ operations = [], defaultSampler = new ConstSampler(true) } = {}) {
+    super()
+
+    assert(Array.isArray(operations), 'operations must be an Array')
+    operations.forEach(({ pattern, sampler } = {}) => {
+      assert(pattern instanceof RegExp || typeof pattern === 'string', 'operations pattern is required')
+      assert(sampler && typeof sampler.sample === 'function', 'operations sampler must implement sample')
+    })
+    assert(defaultSampler && typeof defaultSampler.sample === 'function', 'defaultSampler must implement sample')
+
+    this._operations = operations
+    this._defaultSampler = defaultSampler
+  }
+
+  /**
+  * @method sample
+  * @param {String} operationName
+  * @param {Object} tags
+  * @returns {Object} decision - { sampled, rate }
+  */
+  sample (operationName, tags) {
+    const operation = this._operations.find(({ pattern }) => PerOperationSampler.matches(pattern, operationName))
+    const sampler = operation ? operation.sampler : this._defaultSampler
+
+    return sampler.sample(operationName, tags)
+  }
+}
+
+module.exports = PerOperationSampler
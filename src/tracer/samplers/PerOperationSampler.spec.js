@@ -0,0 +1,58 @@
+'use strict'
+
+const { expect } = require('chai')
+const ConstSampler = require('./ConstSampler')
+const ProbabilisticSampler = require('./ProbabilisticSampler')
+const PerOperationSampler = require('./PerOperationSampler')
+
+describe('tracer/samplers/PerOperationSampler', () => {
+  describe('#constructor', () => {
+    it('should validate operations', () => {
+      expect(() => new PerOperationSampler({ operations: {} })).to.throw('operations must be an Array')
+      expect(() => new PerOperationSampler({ operations: [{ sampler: new ConstSampler(true) }] }))
+        .to.throw('operations pattern is required')
+      expect(() => new PerOperationSampler({ operations: [{ pattern: 'health' }] }))
+        .to.throw('operations sampler must implement sample')
+      expect(() => new PerOperationSampler({ defaultSampler: {} })).to.throw('defaultSampler must implement sample')
+    })
+  })
+
+  describe('#sample', () => {
+    it('should sample by the first matching operation', function () {
+      this.sandbox.stub(Math, 'random').returns(0.5)
+
+      const sampler = new PerOperationSampler({
+        operations: [
+          { pattern: 'health_check', sampler: new ConstSampler(false) },
+          { pattern: /^db_/, sampler: new ProbabilisticSampler(0.1) },
+          { pattern: /^db_users/, sampler: new ConstSampler(true) }
+        ],
+        defaultSampler: new ProbabilisticSampler(0.9)
+      })
+
+      expect(sampler.sample('health_check', {})).to.be.eql({ sampled: false, rate: 0 })
+      expect(sampler.sample('db_users_select', {})).to.be.eql({ sampled: false, rate: 0.1 })
+      expect(sampler.sample('http_request', {})).to.be.eql({ sampled: true, rate: 0.9 })
+    })
+
+    it('should match global and sticky patterns on every span', () => {
+      const sampler = new PerOperationSampler({
+        operations: [
+          { pattern: /^health/g, sampler: new ConstSampler(false) },
+          { pattern: /ready/y, sampler: new ConstSampler(false) }
+        ]
+      })
+
+      expect(sampler.sample('health_check', {}).sampled).to.be.equal(false)
+      expect(sampler.sample('health_check', {}).sampled).to.be.equal(false)
+      expect(sampler.sample('ready', {}).sampled).to.be.equal(false)
+      expect(sampler.sample('ready', {}).sampled).to.be.equal(false)
+    })
+
+    it('should sample always by default', () => {
+      const sampler = new PerOperationSampler()
+
+      expect(sampler.sample('my-operation', {})).to.be.eql({ sampled: true, rate: 1 })
+    })
+  })
+})
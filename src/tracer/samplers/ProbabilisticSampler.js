@@ -0,0 +1,37 @@
+'use strict'
+
+const assert = require('assert')
+const Sampler = require('./Sampler')
+
+/**
+* Samples randomly with a fixed probability
+* @class ProbabilisticSampler
+* @extends Sampler
+*/
+class ProbabilisticSampler extends Sampler {
+  /**
+  * @constructor
+  * @param {Number} rate - probability of sampling between 0 and 1
+  * @returns {ProbabilisticSampler}
+  */
+  constructor (rate) {
+    super()
+
+    assert(typeof rate === 'number' && rate >= 0 && rate <= 1, 'rate must be a number between 0 and 1')
+
+    this._rate = rate
+  }
+
+  /**
+  * @method sample
+  * @returns {Object} decision - { sampled, rate }
+  */
+  sample () {
+    return {
+      sampled: Math.random() < this._rate,
+      rate: this._rate
+    }
+  }
+}
+
+module.exports = ProbabilisticSampler
@@ -0,0 +1,34 @@
+'use strict'
+
+const { expect } = require('chai')
+const ProbabilisticSampler = require('./ProbabilisticSampler')
+
+describe('tracer/samplers/ProbabilisticSampler', () => {
+  describe('#constructor', () => {
+    it('should validate rate', () => {
+      expect(() => new ProbabilisticSampler()).to.throw('rate must be a number between 0 and 1')
+      expect(() => new ProbabilisticSampler(-0.1)).to.throw('rate must be a number between 0 and 1')
+      expect(() => new ProbabilisticSampler(1.1)).to.throw('rate must be a number between 0 and 1')
+      expect(() => new ProbabilisticSampler(0.5)).to.not.throw()
+    })
+  })
+
+  describe('#sample', () => {
+    it('should sample by the rate', function () {
+      const sampler = new ProbabilisticSampler(0.25)
+      const random = this.sandbox.stub(Math, 'random')
+
+      random.returns(0.2)
+      expect(sampler.sample('my-operation', {})).to.be.eql({
+        sampled: true,
+        rate: 0.25
+      })
+
+      random.returns(0.25)
+      expect(sampler.sample('my-operation', {})).to.be.eql({
+        sampled: false,
+        rate: 0.25
+      })
+    })
+  })
+})
@@ -0,0 +1,58 @@
+'use strict'
+
+const assert = require('assert')
+const Sampler = require('./Sampler')
+
+/**
+* Samples at most the given number of traces per second with a token bucket
+* The probability of sampling is unknown, so the decision rate is 1 and observations are not scaled
+* @class RateLimitingSampler
+* @extends Sampler
+*/
+class RateLimitingSampler extends Sampler {
+  /**
+  * @constructor
+  * @param {Number} maxTracesPerSecond
+  * @returns {RateLimitingSampler}
+  */
+  constructor (maxTracesPerSecond) {
+    super()
+
+    assert(typeof maxTracesPerSecond === 'number' && maxTracesPerSecond > 0,
+      'maxTracesPerSecond must be a positive number')
+
+    this._maxTracesPerSecond = maxTracesPerSecond
+    // At least one trace fits into the bucket, to sample below one trace per second
+    this._maxBalance = Math.max(maxTracesPerSecond, 1)
+    this._balance = this._maxBalance
+    this._lastTick = Date.now()
+  }
+
+  /**
+  * @method sample
+  * @returns {Object} decision - { sampled, rate }
+  */
+  sample () {
+    const now = Date.now()
+
+    this._balance = Math.min(this._balance + (((now - this._lastTick) / 1000) * this._maxTracesPerSecond),
+      this._maxBalance)
+    this._lastTick = now
+
+    if (this._balance < 1) {
+      return {
+        sampled: false,
+        rate: 1
+      }
+    }
+
+    this._balance -= 1
+
+    return {
+      sampled: true,
+      rate: 1
+    }
+  }
+}
+
+module.exports = RateLimitingSampler
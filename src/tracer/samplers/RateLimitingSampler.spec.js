@@ -0,0 +1,60 @@
+'use strict'
+
+const sinon = require('sinon')
+const { expect } = require('chai')
+const RateLimitingSampler = require('./RateLimitingSampler')
+
+describe('tracer/samplers/RateLimitingSampler', () => {
+  let clock
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers()
+  })
+
+  afterEach(() => {
+    clock.restore()
+  })
+
+  describe('#constructor', () => {
+    it('should validate maxTracesPerSecond', () => {
+      expect(() => new RateLimitingSampler()).to.throw('maxTracesPerSecond must be a positive number')
+      expect(() => new RateLimitingSampler(0)).to.throw('maxTracesPerSecond must be a positive number')
+      expect(() => new RateLimitingSampler(0.5)).to.not.throw()
+    })
+  })
+
+  describe('#sample', () => {
+    it('should sample up to maxTracesPerSecond', () => {
+      const sampler = new RateLimitingSampler(2)
+      const sample = () => sampler.sample('my-operation', {}).sampled
+
+      expect([sample(), sample(), sample()]).to.be.eql([true, true, false])
+
+      clock.tick(500)
+      expect([sample(), sample()]).to.be.eql([true, false])
+
+      clock.tick(10000)
+      expect([sample(), sample(), sample()]).to.be.eql([true, true, false])
+    })
+
+    it('should sample below one trace per second', () => {
+      const sampler = new RateLimitingSampler(0.5)
+      const sample = () => sampler.sample('my-operation', {}).sampled
+
+      expect([sample(), sample()]).to.be.eql([true, false])
+
+      clock.tick(1000)
+      expect(sample()).to.be.equal(false)
+
+      clock.tick(1000)
+      expect(sample()).to.be.equal(true)
+    })
+
+    it('should not scale observations', () => {
+      const sampler = new RateLimitingSampler(1)
+
+      expect(sampler.sample('my-operation', {}).rate).to.be.equal(1)
+      expect(sampler.sample('my-operation', {}).rate).to.be.equal(1)
+    })
+  })
+})
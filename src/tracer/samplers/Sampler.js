@@ -0,0 +1,26 @@
+'use strict'
+
+/**
+* Sampler interface, decides whether a new trace is sampled
+* Only root spans and spans of contexts without decision are sampled, other spans inherit the decision
+* Custom samplers can extend it and can be passed to Tracer with options.sampler
+* @class Sampler
+*/
+class Sampler {
+  /**
+  * @method sample
+  * @param {String} operationName
+  * @param {Object} tags - tags of the span at start
+  * @returns {Object} decision - { sampled: Boolean, rate: Number }, rate is the probability of sampling
+  *          that reporters use to scale observations
+  */
+  // eslint-disable-next-line class-methods-use-this, no-unused-vars
+  sample (operationName, tags) {
+    return {
+      sampled: true,
+      rate: 1
+    }
+  }
+}
+
+module.exports = Sampler
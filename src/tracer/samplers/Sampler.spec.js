@@ -0,0 +1,17 @@
+'use strict'
+
+const { expect } = require('chai')
+const Sampler = require('./Sampler')
+
+describe('tracer/samplers/Sampler', () => {
+  describe('#sample', () => {
+    it('should sample', () => {
+      const sampler = new Sampler()
+
+      expect(sampler.sample('my-operation', {})).to.be.eql({
+        sampled: true,
+        rate: 1
+      })
+    })
+  })
+})
@@ -0,0 +1,15 @@
+'use strict'
+
+const Sampler = require('./Sampler')
+const ConstSampler = require('./ConstSampler')
+const ProbabilisticSampler = require('./ProbabilisticSampler')
+const RateLimitingSampler = require('./RateLimitingSampler')
+const PerOperationSampler = require('./PerOperationSampler')
+
+module.exports = {
+  Sampler,
+  ConstSampler,
+  ProbabilisticSampler,
+  RateLimitingSampler,
+  PerOperationSampler
+}